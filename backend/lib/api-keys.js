@@ -0,0 +1,87 @@
+/**
+ * TrackFlow Analytics - API Keys
+ *
+ * Long-lived credentials for scripts and BI jobs, sent like a login token
+ * (Authorization: Bearer tfk_...). A key acts as the user who created it,
+ * limited to its scopes:
+ *
+ *   stats:read     GET report and site endpoints, funnel analysis, /api/v1/stats
+ *   events:write   POST /api/sites/:siteId/payments
+ *   sites:manage   everything else: creating, changing and deleting sites,
+ *                  goals, funnels and integration settings
+ *
+ * A key created for one site (site_id) only works on that site's endpoints.
+ * Only a SHA-256 hash and a short prefix (to tell keys apart in the UI) are
+ * stored; the key itself is shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'tfk_';
+const API_KEY_SCOPES = ['stats:read', 'events:write', 'sites:manage'];
+const MAX_NAME_LENGTH = 100;
+
+class ApiKeyError extends Error {}
+
+const isApiKeyToken = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// { key, prefix, hash }: `key` goes to the user, `prefix` and `hash` to the database
+const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), hash: hashApiKey(key) };
+};
+
+/**
+ * Validate a POST /api/api-keys body: name (required), scopes (one or more
+ * of API_KEY_SCOPES, default stats:read), site_id (optional). Throws
+ * ApiKeyError.
+ */
+const parseApiKeyInput = (body = {}) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) throw new ApiKeyError(`name must be 1 to ${MAX_NAME_LENGTH} characters`);
+
+    const scopes = body.scopes === undefined ? ['stats:read'] : body.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new ApiKeyError('scopes must be a non-empty array');
+    const unknown = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown !== undefined) throw new ApiKeyError(`Unknown scope "${unknown}" (expected ${API_KEY_SCOPES.join(', ')})`);
+
+    const siteId = body.site_id === undefined || body.site_id === null || body.site_id === '' ? null : body.site_id;
+    if (siteId !== null && typeof siteId !== 'string') throw new ApiKeyError('site_id must be a string');
+
+    return { name, scopes: [...new Set(scopes)], site_id: siteId };
+};
+
+// Scope a request needs: reads are stats:read, recording payments is
+// events:write, any other write is sites:manage
+const requiredScope = (method, path) => {
+    if (method === 'POST' && /^\/api\/sites\/[^/]+\/payments$/.test(path)) return 'events:write';
+    if (method === 'GET' || method === 'HEAD') return 'stats:read';
+    if (method === 'POST' && path.endsWith('/analyze')) return 'stats:read';
+    return 'sites:manage';
+};
+
+// Site a request is about: the :siteId route parameter, or ?site_id= on /api/v1
+const requestSiteId = (req) => (req.params && req.params.siteId) || (typeof req.query.site_id === 'string' ? req.query.site_id : null);
+
+/**
+ * Why `key` (a row from api_keys) may not make `req`, or null when it may.
+ */
+const apiKeyDenial = (key, req) => {
+    const scope = requiredScope(req.method, req.path);
+    if (!key.scopes.includes(scope)) return `This API key lacks the ${scope} scope`;
+    if (key.site_id && requestSiteId(req) !== key.site_id) return 'This API key is limited to another site';
+    return null;
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    ApiKeyError,
+    isApiKeyToken,
+    hashApiKey,
+    generateApiKey,
+    parseApiKeyInput,
+    requiredScope,
+    apiKeyDenial
+};
@@ -0,0 +1,195 @@
+/**
+ * TrackFlow Analytics - Revenue Attribution
+ *
+ * Credits each payment to the visits (sessions) its visitor made during the
+ * `lookback_days` before paying. A session's source, medium, campaign and
+ * landing page come from its first pageview. Models:
+ *
+ *   first_touch      all credit to the earliest session in the window
+ *   last_touch       all credit to the latest session before the payment
+ *   last_non_direct  the latest session that didn't come in direct, or the
+ *                    latest session when every visit was direct
+ *   linear           credit split equally across the sessions in the window
+ *
+ * Payments (and unmatched tracker revenue events, see payments.js) are
+ * credited once (fractionally for linear), so a visitor's pageview count no
+ * longer multiplies their revenue. Payments without a visitor or without any
+ * session in the window are reported as unattributed.
+ */
+
+const { buildRangeSql } = require('./date-range');
+const { buildRevenueCte } = require('./payments');
+
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'last_non_direct', 'linear'];
+
+// Report dimension -> column of the session's first pageview
+const ATTRIBUTION_DIMENSIONS = {
+    source: 'source',
+    medium: 'medium',
+    campaign: 'utm_campaign',
+    landing_page: 'path'
+};
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_LOOKBACK_DAYS = 365;
+const MAX_ATTRIBUTION_ROWS = 100;
+
+class AttributionError extends Error {}
+
+/**
+ * Read { model, dimension, lookback_days } from req.query (defaults:
+ * last_touch, source, 30). Throws AttributionError.
+ */
+const parseAttributionQuery = (queryParams = {}) => {
+    const model = queryParams.model || 'last_touch';
+    if (!ATTRIBUTION_MODELS.includes(model)) throw new AttributionError(`model must be one of ${ATTRIBUTION_MODELS.join(', ')}`);
+
+    const dimension = queryParams.dimension || 'source';
+    if (!Object.prototype.hasOwnProperty.call(ATTRIBUTION_DIMENSIONS, dimension)) {
+        throw new AttributionError(`dimension must be one of ${Object.keys(ATTRIBUTION_DIMENSIONS).join(', ')}`);
+    }
+
+    const lookbackDays = queryParams.lookback_days === undefined ? DEFAULT_LOOKBACK_DAYS : Number(queryParams.lookback_days);
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > MAX_LOOKBACK_DAYS) {
+        throw new AttributionError(`lookback_days must be between 1 and ${MAX_LOOKBACK_DAYS}`);
+    }
+
+    return { model, dimension, lookback_days: lookbackDays };
+};
+
+// Weight of one touch in a payment's path under `model`
+const creditSql = (model) => {
+    switch (model) {
+        case 'first_touch': return 'CASE WHEN first_rank = 1 THEN 1.0 ELSE 0 END';
+        case 'last_touch': return 'CASE WHEN last_rank = 1 THEN 1.0 ELSE 0 END';
+        case 'last_non_direct': return 'CASE WHEN non_direct_rank = 1 THEN 1.0 ELSE 0 END';
+        default: return '1.0 / touches';
+    }
+};
+
+/**
+ * One query (site id bound as $1) over payments made in `range`. Rows have
+ * `value` (NULL for unattributed payments), attributed `revenue` in
+ * `currency` (payments without an exchange rate are left out),
+ * `conversions` (fractional under linear), `converters` and `visitors`
+ * (unique visitors whose sessions in the range had this value). The top
+ * MAX_ATTRIBUTION_ROWS values are returned, plus the unattributed row.
+ */
+const buildAttributionSql = (options, range, currency, params) => {
+    const column = ATTRIBUTION_DIMENSIONS[options.dimension];
+    const revenueCte = buildRevenueCte(range, params, currency);
+    const visitRangeSql = buildRangeSql(range, params);
+    params.push(options.lookback_days);
+    const lookbackSql = `($${params.length}::integer * INTERVAL '1 day')`;
+
+    return `
+        WITH ${revenueCte},
+        pay AS (
+            SELECT id, visitor_id, (amount - refunded_amount) * rate as revenue, created_at
+            FROM revenue
+            WHERE rate IS NOT NULL
+        ),
+        sessions AS (
+            SELECT DISTINCT ON (session_id) visitor_id, session_id, timestamp, source, ${column} as value
+            FROM events
+            WHERE site_id = $1 AND event_type = 'pageview'
+            AND visitor_id IN (SELECT visitor_id FROM pay WHERE visitor_id IS NOT NULL)
+            ORDER BY session_id, timestamp
+        ),
+        paths AS (
+            SELECT p.id, p.visitor_id, p.revenue, s.session_id,
+                CASE WHEN s.session_id IS NULL THEN NULL ELSE COALESCE(NULLIF(s.value, ''), '(none)') END as value,
+                ROW_NUMBER() OVER (PARTITION BY p.id ORDER BY s.timestamp) as first_rank,
+                ROW_NUMBER() OVER (PARTITION BY p.id ORDER BY s.timestamp DESC) as last_rank,
+                ROW_NUMBER() OVER (
+                    PARTITION BY p.id
+                    ORDER BY (COALESCE(s.source, '') IN ('', 'direct')), s.timestamp DESC
+                ) as non_direct_rank,
+                COUNT(*) OVER (PARTITION BY p.id) as touches
+            FROM pay p
+            LEFT JOIN sessions s ON s.visitor_id = p.visitor_id
+                AND s.timestamp <= p.created_at AND s.timestamp >= p.created_at - ${lookbackSql}
+        ),
+        credited AS (
+            SELECT value,
+                SUM(revenue * credit) as revenue,
+                SUM(credit) as conversions,
+                COUNT(DISTINCT visitor_id) as converters
+            FROM (SELECT *, ${creditSql(options.model)} as credit FROM paths) weighted
+            WHERE credit > 0
+            GROUP BY value
+        ),
+        visits AS (
+            SELECT COALESCE(NULLIF(value, ''), '(none)') as value, COUNT(DISTINCT visitor_id) as visitors
+            FROM (
+                SELECT DISTINCT ON (session_id) visitor_id, ${column} as value
+                FROM events
+                WHERE site_id = $1 AND event_type = 'pageview' ${visitRangeSql}
+                ORDER BY session_id, timestamp
+            ) landings
+            GROUP BY 1
+        ),
+        merged AS (
+            SELECT COALESCE(c.value, v.value) as value,
+                COALESCE(c.revenue, 0) as revenue,
+                COALESCE(c.conversions, 0) as conversions,
+                COALESCE(c.converters, 0) as converters,
+                COALESCE(v.visitors, 0) as visitors
+            FROM credited c
+            FULL JOIN visits v ON v.value = c.value
+        ),
+        -- The unattributed (NULL) row is ranked on its own so the limit never drops it
+        ranked AS (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY value IS NULL ORDER BY revenue DESC, visitors DESC) as rank
+            FROM merged
+        )
+        SELECT value, revenue, conversions, converters, visitors
+        FROM ranked
+        WHERE rank <= ${MAX_ATTRIBUTION_ROWS}
+        ORDER BY revenue DESC, visitors DESC
+    `;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * { rows: [{ value, revenue, conversions, converters, visitors,
+ *   conversion_rate (% of visitors who converted), revenue_per_visitor }],
+ *   unattributed: { revenue, conversions } }
+ */
+const formatAttribution = (rows) => {
+    const unattributed = { revenue: 0, conversions: 0 };
+    const attributed = [];
+
+    rows.forEach(r => {
+        const revenue = parseFloat(r.revenue);
+        const conversions = parseFloat(r.conversions);
+        if (r.value === null) {
+            unattributed.revenue = round(revenue);
+            unattributed.conversions = round(conversions);
+            return;
+        }
+        const visitors = parseInt(r.visitors);
+        const converters = parseInt(r.converters);
+        attributed.push({
+            value: r.value,
+            revenue: round(revenue),
+            conversions: round(conversions),
+            converters,
+            visitors,
+            conversion_rate: visitors > 0 ? round((converters / visitors) * 100, 1) : 0,
+            revenue_per_visitor: visitors > 0 ? round(revenue / visitors) : 0
+        });
+    });
+
+    return { rows: attributed, unattributed };
+};
+
+module.exports = {
+    ATTRIBUTION_MODELS,
+    ATTRIBUTION_DIMENSIONS,
+    AttributionError,
+    parseAttributionQuery,
+    buildAttributionSql,
+    formatAttribution
+};
@@ -0,0 +1,161 @@
+/**
+ * TrackFlow Analytics - Accounts & Sessions
+ *
+ * Logging in returns a short-lived access token (a JWT, sent as
+ * Authorization: Bearer) and a refresh token. Refresh tokens are random,
+ * stored as SHA-256 hashes and single-use: /api/auth/refresh trades one for
+ * a new pair. Every token descends from one login (its family); presenting
+ * a token that was already traded in means it was copied, so the whole
+ * family is revoked. Logging out revokes the family, and resetting the
+ * password revokes every family of the user.
+ *
+ * Email verification and password reset links carry single-use account
+ * tokens, also stored as hashes, that expire after 48 hours and 1 hour.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+// Account token purpose -> lifetime in minutes
+const ACCOUNT_TOKEN_TTL_MINUTES = {
+    verify_email: 48 * 60,
+    reset_password: 60
+};
+
+class AuthError extends Error {}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Throws AuthError unless `password` is acceptable for a new password
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) throw new AuthError(`Password must be at most ${MAX_PASSWORD_LENGTH} bytes`);
+};
+
+// New refresh token for a user, in `familyId` or a new family (a new login)
+const issueRefreshToken = async (query, userId, familyId = uuidv4()) => {
+    const token = randomToken();
+    await query(`
+        INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '${REFRESH_TOKEN_TTL_DAYS} days')
+    `, [uuidv4(), userId, familyId, hashToken(token)]);
+    return token;
+};
+
+/**
+ * Trade a refresh token for a new one in the same family. Returns
+ * { userId, refreshToken }. Throws AuthError for unknown, expired or revoked
+ * tokens, and revokes the family of a token that was already used.
+ */
+const rotateRefreshToken = async (query, token) => {
+    if (typeof token !== 'string' || !token) throw new AuthError('refresh_token is required');
+
+    const result = await query(`
+        SELECT id, user_id, family_id FROM refresh_tokens
+        WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token)]);
+    const row = result.rows[0];
+    if (!row) throw new AuthError('Invalid or expired refresh token');
+
+    const claimed = await query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id', [row.id]);
+    if (claimed.rows.length === 0) {
+        await query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL', [row.family_id]);
+        throw new AuthError('Refresh token was already used; please log in again');
+    }
+
+    return { userId: row.user_id, refreshToken: await issueRefreshToken(query, row.user_id, row.family_id) };
+};
+
+// Log out the session `token` belongs to; with `everywhere`, every session of its user.
+// Returns the user id, or null for an unknown token.
+const revokeRefreshToken = async (query, token, { everywhere = false } = {}) => {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await query('SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1', [hashToken(token)]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    if (everywhere) {
+        await revokeUserSessions(query, row.user_id);
+    } else {
+        await query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL', [row.family_id]);
+    }
+    return row.user_id;
+};
+
+const revokeUserSessions = (query, userId) => (
+    query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL', [userId])
+);
+
+// New account token for `purpose`, replacing the user's unused ones
+const createAccountToken = async (query, userId, purpose) => {
+    const token = randomToken();
+    await query('DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+    await query(`
+        INSERT INTO account_tokens (id, user_id, purpose, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '${ACCOUNT_TOKEN_TTL_MINUTES[purpose]} minutes')
+    `, [uuidv4(), userId, purpose, hashToken(token)]);
+    return token;
+};
+
+// Use up an account token. Returns its user id, or null when it's unknown, used or expired.
+const consumeAccountToken = async (query, token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await query(`
+        UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+    `, [hashToken(token), purpose]);
+    return result.rows.length ? result.rows[0].user_id : null;
+};
+
+// Forget refresh and account tokens that can no longer be used
+const pruneAuthTokens = async (query) => {
+    await query('DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP OR revoked_at < CURRENT_TIMESTAMP - INTERVAL \'1 day\'');
+    await query('DELETE FROM account_tokens WHERE expires_at < CURRENT_TIMESTAMP OR used_at IS NOT NULL');
+};
+
+const verificationEmail = ({ url }) => ({
+    subject: 'Verify your TrackFlow email address',
+    text: [
+        'Confirm this is your email address for TrackFlow Analytics:',
+        '',
+        url,
+        '',
+        'The link expires in 48 hours. If you didn\'t sign up, ignore this email.'
+    ].join('\n')
+});
+
+const passwordResetEmail = ({ url }) => ({
+    subject: 'Reset your TrackFlow password',
+    text: [
+        'Someone asked to reset the password of your TrackFlow Analytics account. Choose a new one here:',
+        '',
+        url,
+        '',
+        'The link expires in 1 hour and logs you out everywhere. If you didn\'t ask for it, ignore this email.'
+    ].join('\n')
+});
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    AuthError,
+    validatePassword,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions,
+    createAccountToken,
+    consumeAccountToken,
+    pruneAuthTokens,
+    verificationEmail,
+    passwordResetEmail
+};
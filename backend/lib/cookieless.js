@@ -0,0 +1,83 @@
+/**
+ * TrackFlow Analytics - Cookieless Visitor IDs
+ *
+ * In cookieless mode the tracker stores nothing in the browser. The server
+ * derives the visitor ID instead:
+ *
+ *   visitor_id = sha256(daily salt + site ID + IP + User-Agent)
+ *
+ * The salt is random, changes every UTC day and is deleted once the day is
+ * over, so an ID cannot be recomputed afterwards or linked across days and
+ * sites. Sessions are assigned server-side by 30 minutes of inactivity.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Salts for the current UTC day, by 'YYYY-MM-DD'; at most today and yesterday are kept
+const salts = new Map();
+// visitor_id -> { sessionId, lastSeen }
+const sessions = new Map();
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Salt for the UTC day of `now`. Salts live in the visitor_salts table so all
+ * instances (and restarts) agree on the same value for the day; older ones are
+ * deleted as soon as a new day's salt is created.
+ */
+const getDailySalt = async (query, now = new Date()) => {
+    const day = utcDay(now);
+    if (salts.has(day)) return salts.get(day);
+
+    await query(`
+        INSERT INTO visitor_salts (day, salt) VALUES ($1, $2)
+        ON CONFLICT (day) DO NOTHING
+    `, [day, crypto.randomBytes(32).toString('hex')]);
+    // Yesterday's salt is kept briefly for events that arrive around midnight
+    await query(`DELETE FROM visitor_salts WHERE day < $1::date - 1`, [day]);
+    const result = await query('SELECT salt FROM visitor_salts WHERE day = $1', [day]);
+
+    for (const key of salts.keys()) {
+        if (key < day) salts.delete(key);
+    }
+    salts.set(day, result.rows[0].salt);
+    return result.rows[0].salt;
+};
+
+const cookielessVisitorId = (salt, siteId, ip, userAgent) => crypto
+    .createHash('sha256')
+    .update(`${salt}|${siteId}|${ip || ''}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+
+/**
+ * Session ID for a hashed visitor: reused while hits keep arriving within
+ * SESSION_TIMEOUT_MS of each other, otherwise a new one is started.
+ */
+const cookielessSessionId = (visitorId, now = Date.now()) => {
+    const current = sessions.get(visitorId);
+    if (current && now - current.lastSeen < SESSION_TIMEOUT_MS) {
+        current.lastSeen = now;
+        return current.sessionId;
+    }
+    const sessionId = crypto.randomUUID();
+    sessions.set(visitorId, { sessionId, lastSeen: now });
+    return sessionId;
+};
+
+// Drop expired sessions so the map only holds visitors active in the last 30 minutes
+const pruneSessions = (now = Date.now()) => {
+    for (const [visitorId, session] of sessions) {
+        if (now - session.lastSeen >= SESSION_TIMEOUT_MS) sessions.delete(visitorId);
+    }
+};
+
+setInterval(pruneSessions, 5 * 60 * 1000).unref();
+
+module.exports = {
+    getDailySalt,
+    cookielessVisitorId,
+    cookielessSessionId
+};
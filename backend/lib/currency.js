@@ -0,0 +1,164 @@
+/**
+ * TrackFlow Analytics - Currency
+ *
+ * Revenue reports add amounts up in the site's reporting currency. Rates come
+ * from a local exchange_rates table, filled at startup from the file named by
+ * EXCHANGE_RATES_PATH (no live rate service is called):
+ *
+ *   CSV, long:  date,currency,rate[,base]   one rate per line
+ *   CSV, wide:  Date,USD,JPY,...            one day per line, like the ECB's
+ *                                           eurofxref-hist.csv
+ *   JSON:       { "base": "EUR", "rates": { "2024-01-02": { "USD": 1.0956 } } }
+ *               (Frankfurter's time series format) or an array of
+ *               { date, currency, rate, base }
+ *
+ * A rate is units of `currency` per one unit of `base` (EUR when the file
+ * doesn't say). Amounts are converted with the rates of their payment date,
+ * or of the closest earlier day with rates (weekends, holidays); the original
+ * amount and currency are always kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASE = 'EUR';
+const INSERT_BATCH_SIZE = 1000;
+
+class CurrencyError extends Error {}
+
+const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Za-z]{3}$/.test(code);
+
+// YYYY-MM-DD of a real calendar day (2024-02-31 doesn't round-trip)
+const isDay = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const rateRow = (day, base, currency, rate, where) => {
+    const value = Number(rate);
+    if (!isDay(String(day))) throw new CurrencyError(`${where}: invalid date "${day}"`);
+    if (!isCurrencyCode(base) || !isCurrencyCode(currency)) throw new CurrencyError(`${where}: invalid currency code`);
+    if (!Number.isFinite(value) || value <= 0) throw new CurrencyError(`${where}: invalid rate "${rate}"`);
+    return { day: String(day), base: base.toUpperCase(), currency: currency.toUpperCase(), rate: value };
+};
+
+const parseCsvRates = (text, defaultBase) => {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) throw new CurrencyError('CSV has no rates');
+    const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+    const rows = [];
+
+    if (header.includes('currency') && header.includes('rate')) {
+        const column = (name) => header.indexOf(name);
+        lines.slice(1).forEach((line, i) => {
+            const cells = line.split(',').map(cell => cell.trim());
+            const base = column('base') >= 0 && cells[column('base')] ? cells[column('base')] : defaultBase;
+            rows.push(rateRow(cells[column('date')], base, cells[column('currency')], cells[column('rate')], `line ${i + 2}`));
+        });
+        return rows;
+    }
+
+    // Wide: first column is the date, the rest are currencies; N/A and blanks are skipped
+    const currencies = header.slice(1).map(code => code.toUpperCase());
+    lines.slice(1).forEach((line, i) => {
+        const cells = line.split(',').map(cell => cell.trim());
+        currencies.forEach((currency, j) => {
+            const rate = cells[j + 1];
+            if (!currency || !rate || !Number.isFinite(Number(rate))) return;
+            rows.push(rateRow(cells[0], defaultBase, currency, rate, `line ${i + 2}`));
+        });
+    });
+    return rows;
+};
+
+const parseJsonRates = (text, defaultBase) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new CurrencyError(`Invalid JSON: ${err.message}`);
+    }
+
+    if (Array.isArray(data)) {
+        return data.map((r, i) => rateRow(r.date, r.base || defaultBase, r.currency, r.rate, `entry ${i + 1}`));
+    }
+    if (!data || typeof data.rates !== 'object') throw new CurrencyError('JSON must be an array or have a "rates" object');
+
+    const base = data.base || defaultBase;
+    const rows = [];
+    Object.entries(data.rates).forEach(([day, rates]) => {
+        Object.entries(rates || {}).forEach(([currency, rate]) => rows.push(rateRow(day, base, currency, rate, day)));
+    });
+    return rows;
+};
+
+/**
+ * Parse a rates file into [{ day, base, currency, rate }], adding the base
+ * currency itself at rate 1 for every day. A rate listed twice keeps its
+ * last value. `format` is csv or json. Throws CurrencyError.
+ */
+const parseExchangeRates = (text, format, { base = DEFAULT_BASE } = {}) => {
+    if (!isCurrencyCode(base)) throw new CurrencyError(`Invalid base currency "${base}"`);
+    const parsed = format === 'json' ? parseJsonRates(text, base.toUpperCase()) : parseCsvRates(text, base.toUpperCase());
+
+    const rates = new Map();
+    parsed.forEach(r => {
+        rates.set(`${r.day}|${r.base}|${r.base}`, { day: r.day, base: r.base, currency: r.base, rate: 1 });
+    });
+    parsed.forEach(r => rates.set(`${r.day}|${r.base}|${r.currency}`, r));
+    return [...rates.values()];
+};
+
+/**
+ * Load EXCHANGE_RATES_PATH (or `filePath`) into exchange_rates, replacing
+ * rates already stored for the same day, base and currency. Call once at
+ * startup, after the schema exists. Returns the number of rates loaded.
+ */
+const loadExchangeRates = async (query, filePath = process.env.EXCHANGE_RATES_PATH, options = {}) => {
+    if (!filePath) return 0;
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    const rows = parseExchangeRates(fs.readFileSync(filePath, 'utf8'), format, { base: options.base || process.env.EXCHANGE_RATES_BASE || DEFAULT_BASE });
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        const values = [];
+        const tuples = rows.slice(i, i + INSERT_BATCH_SIZE).map(r => {
+            values.push(r.day, r.base, r.currency, r.rate);
+            const n = values.length;
+            return `($${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+        });
+        await query(`
+            INSERT INTO exchange_rates (day, base, currency, rate) VALUES ${tuples.join(', ')}
+            ON CONFLICT (day, base, currency) DO UPDATE SET rate = EXCLUDED.rate
+        `, values);
+    }
+
+    console.log(`Exchange rates: ${rows.length} loaded from ${filePath}`);
+    return rows.length;
+};
+
+/**
+ * SQL expression for the factor converting an amount in `currencySql` on
+ * `dateSql` into `toCurrency`: 1 for the same currency, NULL when no day on
+ * or before the date has rates for both. Pushes `toCurrency` onto `params`.
+ */
+const conversionRateSql = (currencySql, dateSql, params, toCurrency) => {
+    params.push(toCurrency);
+    const to = `$${params.length}`;
+    return `(CASE WHEN UPPER(${currencySql}) = ${to} THEN 1.0 ELSE (
+        SELECT t.rate / f.rate
+        FROM exchange_rates f
+        JOIN exchange_rates t ON t.day = f.day AND t.base = f.base AND t.currency = ${to}
+        WHERE f.currency = UPPER(${currencySql}) AND f.day <= (${dateSql})::date
+        ORDER BY f.day DESC
+        LIMIT 1
+    ) END)`;
+};
+
+module.exports = {
+    CurrencyError,
+    isCurrencyCode,
+    parseExchangeRates,
+    loadExchangeRates,
+    conversionRateSql
+};
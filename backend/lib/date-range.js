@@ -0,0 +1,201 @@
+/**
+ * TrackFlow Analytics - Report Date Ranges
+ *
+ * Resolves `period` presets or explicit `from`/`to` dates into a half-open
+ * [from, to) range of UTC instants, with day boundaries taken in the
+ * requested `tz` (IANA name, default UTC).
+ *
+ * Event timestamps are stored as UTC wall-clock TIMESTAMP values, so ranges
+ * are bound as UTC ISO strings and bucketing converts UTC -> tz in SQL.
+ */
+
+const PRESETS = ['today', 'yesterday', '7d', '30d', '90d', 'mtd', 'last_month', 'ytd', '12mo', 'last_year'];
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HOURLY_DAYS = 31;
+const MAX_RANGE_DAYS = 3660;
+
+class DateRangeError extends Error {}
+
+const isValidTimeZone = (tz) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Local calendar fields of an instant in `tz`
+const localParts = (date, tz) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).forEach(p => { if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10); });
+    return parts;
+};
+
+// Offset of `tz` from UTC at `date`, in ms (UTC+7 -> +25200000)
+const tzOffset = (date, tz) => {
+    const p = localParts(date, tz);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// UTC instant of local midnight (or the given wall-clock time) on year/month(1-12)/day in `tz`;
+// out-of-range days/months roll over
+const zonedMidnight = (year, month, day, tz, hour = 0, minute = 0, second = 0) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const guess = wall - tzOffset(new Date(wall), tz);
+    // Re-check once so ranges that cross a DST change still land on midnight
+    return new Date(wall - tzOffset(new Date(guess), tz));
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseBoundary = (value, tz, name) => {
+    if (typeof value !== 'string') throw new DateRangeError(`Invalid "${name}" date`);
+    if (DATE_ONLY.test(value)) {
+        const [y, m, d] = value.split('-').map(Number);
+        // zonedMidnight rolls 2024-02-31 over into March; only real calendar days are accepted
+        const check = new Date(Date.UTC(y, m - 1, d));
+        if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) {
+            throw new DateRangeError(`Invalid "${name}" date`);
+        }
+        return { date: zonedMidnight(y, m, d, tz), dateOnly: true };
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new DateRangeError(`Invalid "${name}" date`);
+    return { date, dateOnly: false };
+};
+
+const presetRange = (period, now, tz) => {
+    const { year, month, day } = localParts(now, tz);
+    const startOfToday = zonedMidnight(year, month, day, tz);
+    const startOfTomorrow = zonedMidnight(year, month, day + 1, tz);
+
+    switch (period) {
+        case 'today': return [startOfToday, startOfTomorrow];
+        case 'yesterday': return [zonedMidnight(year, month, day - 1, tz), startOfToday];
+        case '7d': return [zonedMidnight(year, month, day - 6, tz), startOfTomorrow];
+        case '30d': return [zonedMidnight(year, month, day - 29, tz), startOfTomorrow];
+        case '90d': return [zonedMidnight(year, month, day - 89, tz), startOfTomorrow];
+        case 'mtd': return [zonedMidnight(year, month, 1, tz), startOfTomorrow];
+        case 'last_month': return [zonedMidnight(year, month - 1, 1, tz), zonedMidnight(year, month, 1, tz)];
+        case 'ytd': return [zonedMidnight(year, 1, 1, tz), startOfTomorrow];
+        case '12mo': return [zonedMidnight(year - 1, month, day + 1, tz), startOfTomorrow];
+        case 'last_year': return [zonedMidnight(year - 1, 1, 1, tz), zonedMidnight(year, 1, 1, tz)];
+        default: throw new DateRangeError(`Unknown period "${period}"`);
+    }
+};
+
+const defaultInterval = (from, to) => {
+    const days = (to - from) / DAY_MS;
+    if (days <= 2) return 'hour';
+    if (days <= 180) return 'day';
+    return 'month';
+};
+
+/**
+ * Resolve report date options from a query/body object.
+ *
+ *   period   - one of PRESETS (default 30d); ignored when from/to are given
+ *   from, to - YYYY-MM-DD (whole local days, `to` inclusive) or ISO datetimes
+ *   tz       - IANA time zone, e.g. Asia/Bangkok (default UTC)
+ *   interval - hour | day | week | month (default picked from the range length)
+ *
+ * Returns { from: Date, to: Date, tz, interval, period }; throws DateRangeError.
+ */
+const resolveDateRange = (options = {}, now = new Date()) => {
+    const tz = options.tz || 'UTC';
+    if (typeof tz !== 'string' || !isValidTimeZone(tz)) throw new DateRangeError(`Unknown time zone "${tz}"`);
+
+    let from;
+    let to;
+    let period = options.period || '30d';
+
+    if (options.from || options.to) {
+        if (!options.from || !options.to) throw new DateRangeError('Both "from" and "to" are required');
+        const start = parseBoundary(options.from, tz, 'from');
+        const end = parseBoundary(options.to, tz, 'to');
+        from = start.date;
+        // A date-only "to" includes that whole local day
+        if (end.dateOnly) {
+            const { year, month, day } = localParts(end.date, tz);
+            to = zonedMidnight(year, month, day + 1, tz);
+        } else {
+            to = end.date;
+        }
+        period = 'custom';
+    } else {
+        if (!PRESETS.includes(period)) throw new DateRangeError(`Unknown period "${period}"`);
+        [from, to] = presetRange(period, now, tz);
+    }
+
+    if (to <= from) throw new DateRangeError('"to" must be after "from"');
+    if ((to - from) / DAY_MS > MAX_RANGE_DAYS) throw new DateRangeError('Date range is too long');
+
+    const interval = options.interval || defaultInterval(from, to);
+    if (!INTERVALS.includes(interval)) throw new DateRangeError(`Unknown interval "${interval}"`);
+    if (interval === 'hour' && (to - from) / DAY_MS > MAX_HOURLY_DAYS) {
+        throw new DateRangeError(`Hourly interval is limited to ${MAX_HOURLY_DAYS} days`);
+    }
+
+    return { from, to, tz, interval, period };
+};
+
+const COMPARE_MODES = ['previous', 'year'];
+
+/**
+ * Range to compare against:
+ *   previous - the same-length period immediately before `range`
+ *   year     - the same local dates one year earlier
+ */
+const compareRange = (range, mode = 'previous') => {
+    if (!COMPARE_MODES.includes(mode)) throw new DateRangeError(`Unknown comparison "${mode}"`);
+
+    if (mode === 'year') {
+        const shift = (date) => {
+            const p = localParts(date, range.tz);
+            return zonedMidnight(p.year - 1, p.month, p.day, range.tz, p.hour, p.minute, p.second);
+        };
+        return { ...range, from: shift(range.from), to: shift(range.to) };
+    }
+
+    const length = range.to - range.from;
+    return { ...range, from: new Date(range.from.getTime() - length), to: new Date(range.from.getTime()) };
+};
+
+/**
+ * " AND <column> >= $n AND <column> < $m" for the range, pushing bounds onto `params`.
+ */
+const buildRangeSql = (range, params, column = 'timestamp') => {
+    params.push(range.from.toISOString(), range.to.toISOString());
+    return ` AND ${column} >= $${params.length - 1} AND ${column} < $${params.length}`;
+};
+
+/**
+ * SQL expression converting a stored UTC timestamp column into local wall-clock
+ * time in the range's zone. Pushes the zone onto `params`.
+ */
+const localTimeSql = (range, params, column = 'timestamp') => {
+    params.push(range.tz);
+    return `((${column} AT TIME ZONE 'UTC') AT TIME ZONE $${params.length})`;
+};
+
+module.exports = {
+    PRESETS,
+    INTERVALS,
+    COMPARE_MODES,
+    DateRangeError,
+    isValidTimeZone,
+    resolveDateRange,
+    compareRange,
+    buildRangeSql,
+    localTimeSql,
+    localParts,
+    zonedMidnight
+};
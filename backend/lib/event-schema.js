@@ -0,0 +1,188 @@
+/**
+ * TrackFlow Analytics - Event Schema
+ *
+ * Declares what /collect accepts. Every tracker payload is checked against
+ * EVENT_FIELDS (types, lengths, allowed values) and the timestamp skew
+ * window. Custom properties travel in `props` (older trackers spread them
+ * into the payload, so undeclared top-level keys count as properties too) and
+ * are limited in count and size. validateEvent() returns a
+ * specific reason for the first problem found, which /collect sends back as
+ * a 400 so a broken integration can be told apart from an outage.
+ */
+
+const EVENT_TYPES = [
+    'pageview', 'event', 'goal', 'revenue', 'engagement',
+    'outbound_click', 'download', 'search', 'identify'
+];
+
+// Accepted clock skew for event timestamps. Old events are allowed for a while
+// because the tracker keeps undelivered events and retries them later.
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_PROPERTIES = 30;
+const MAX_PROPERTY_KEY_LENGTH = 64;
+const MAX_PROPERTY_VALUE_LENGTH = 1000;
+const MAX_PROPERTIES_BYTES = 8 * 1024;
+
+const string = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+
+/**
+ * Declared payload fields. Optional fields may be null.
+ *   type         string | integer | number | boolean | timestamp
+ *   required     must be present (and non-empty)
+ *   requiredFor  required only for these event types
+ *   eventData    has no column of its own; stored in event_data
+ *   maxLength, enum, pattern, min, max
+ */
+const EVENT_FIELDS = {
+    site_id: string(64, { required: true }),
+    visitor_id: string(128, { required: true }),
+    session_id: string(128, { required: true }),
+    event_type: string(32, { required: true, enum: EVENT_TYPES }),
+    timestamp: { type: 'timestamp', required: true },
+
+    url: string(2048),
+    path: string(2048),
+    hostname: string(253),
+    title: string(512),
+
+    source: string(256),
+    medium: string(64),
+    referrer: string(2048),
+    utm_source: string(256),
+    utm_medium: string(256),
+    utm_campaign: string(256),
+    utm_term: string(256),
+    utm_content: string(256),
+    ref: string(256),
+
+    screenWidth: { type: 'integer', min: 0, max: 100000 },
+    screenHeight: { type: 'integer', min: 0, max: 100000 },
+    language: string(35),
+    timezone: string(64),
+
+    event_name: string(128, { requiredFor: ['event'] }),
+    goal_id: string(128, { requiredFor: ['goal'], eventData: true }),
+    amount: { type: 'number', requiredFor: ['revenue'] },
+    revenue: { type: 'number' },
+    currency: string(3, { pattern: /^[A-Za-z]{3}$/ }),
+    duration_seconds: { type: 'number', min: 0, max: 24 * 60 * 60 },
+
+    outbound_url: string(2048, { eventData: true }),
+    outbound_host: string(253, { eventData: true }),
+    file_url: string(2048, { eventData: true }),
+    file_name: string(256, { eventData: true }),
+    search_query: string(512, { eventData: true }),
+    user_id: string(256, { eventData: true }),
+
+    props: { type: 'object' },
+
+    cookieless: { type: 'boolean' },
+    // Sent by older trackers; accepted but ignored (parsed from the User-Agent instead)
+    deviceType: string(32),
+    browser: string(64),
+    os: string(64)
+};
+
+const isDeclared = (key) => Object.prototype.hasOwnProperty.call(EVENT_FIELDS, key);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const checkField = (name, spec, value) => {
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (spec.maxLength && value.length > spec.maxLength) return `${name} is longer than ${spec.maxLength} characters`;
+            if (spec.enum && !spec.enum.includes(value)) return `${name} must be one of ${spec.enum.join(', ')}`;
+            if (spec.pattern && !spec.pattern.test(value)) return `${name} has an invalid format`;
+            return null;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+            if (spec.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+            if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be a boolean`;
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value) ? null : `${name} must be an object`;
+        case 'timestamp':
+            if (typeof value !== 'string' || isNaN(new Date(value).getTime())) return `${name} must be an ISO 8601 date`;
+            return null;
+        default:
+            return null;
+    }
+};
+
+const checkTimestamp = (value, now) => {
+    const time = new Date(value).getTime();
+    if (time - now > MAX_FUTURE_SKEW_MS) return 'timestamp is more than 5 minutes in the future';
+    if (now - time > MAX_EVENT_AGE_MS) return 'timestamp is more than 7 days old';
+    return null;
+};
+
+/**
+ * Custom properties of an event: its `props` object plus any undeclared
+ * top-level keys (older trackers spread properties into the payload).
+ */
+const customProperties = (event) => {
+    const props = {};
+    Object.keys(event).forEach(key => {
+        if (!isDeclared(key)) props[key] = event[key];
+    });
+    if (event.props && typeof event.props === 'object' && !Array.isArray(event.props)) Object.assign(props, event.props);
+    return props;
+};
+
+const checkProperties = (event) => {
+    const props = customProperties(event);
+    const keys = Object.keys(props);
+    if (keys.length > MAX_PROPERTIES) return `Too many properties (${keys.length}, max ${MAX_PROPERTIES})`;
+
+    for (const key of keys) {
+        if (key.length > MAX_PROPERTY_KEY_LENGTH) return `Property name "${key.slice(0, 20)}..." is longer than ${MAX_PROPERTY_KEY_LENGTH} characters`;
+        const value = props[key];
+        if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            return `Property "${key}" must be a string, number, boolean or null`;
+        }
+        if (typeof value === 'string' && value.length > MAX_PROPERTY_VALUE_LENGTH) {
+            return `Property "${key}" is longer than ${MAX_PROPERTY_VALUE_LENGTH} characters`;
+        }
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(props));
+    if (size > MAX_PROPERTIES_BYTES) return `Properties exceed ${MAX_PROPERTIES_BYTES} bytes`;
+    return null;
+};
+
+/**
+ * Check one payload against the schema. Returns the reason it is invalid, or
+ * null. In cookieless mode visitor_id/session_id are assigned by the server,
+ * so pass { cookieless: true } to skip those.
+ */
+const validateEvent = (event, { cookieless = false, now = Date.now() } = {}) => {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) return 'Event must be a JSON object';
+
+    for (const [name, spec] of Object.entries(EVENT_FIELDS)) {
+        const value = event[name];
+        const serverAssigned = cookieless && (name === 'visitor_id' || name === 'session_id');
+        if (isEmpty(value)) {
+            if (serverAssigned) continue;
+            if (spec.required || (spec.requiredFor && spec.requiredFor.includes(event.event_type))) return `${name} is required`;
+            continue;
+        }
+        const problem = checkField(name, spec, value);
+        if (problem) return problem;
+    }
+
+    return checkTimestamp(event.timestamp, now) || checkProperties(event);
+};
+
+module.exports = {
+    EVENT_TYPES,
+    EVENT_FIELDS,
+    customProperties,
+    validateEvent
+};
@@ -0,0 +1,112 @@
+/**
+ * TrackFlow Analytics - Event Rows
+ *
+ * Maps validated tracker payloads (see event-schema.js) onto events table
+ * columns and builds multi-row INSERTs for the ingestion buffer. Custom
+ * properties go to the JSONB `props` column; event_data keeps the declared
+ * event-specific fields that have no column (goal_id, outbound_url, ...).
+ */
+
+const { EVENT_FIELDS, customProperties } = require('./event-schema');
+
+// Column order shared by eventRow() and buildEventsInsert()
+const EVENT_COLUMNS = [
+    'site_id', 'visitor_id', 'session_id', 'event_type', 'timestamp',
+    'url', 'path', 'hostname', 'title',
+    'source', 'medium', 'referrer',
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref',
+    'device_type', 'browser', 'os', 'screen_width', 'screen_height', 'language', 'timezone',
+    'event_name', 'event_data', 'revenue', 'currency', 'duration_seconds',
+    'country', 'city', 'browser_version', 'os_version', 'props'
+];
+
+// Declared fields without a column of their own (goal_id, outbound_url, ...)
+const EVENT_DATA_FIELDS = Object.keys(EVENT_FIELDS).filter(name => EVENT_FIELDS[name].eventData);
+
+const MAX_TEXT_LENGTH = 2048;
+
+const text = (value) => (value === undefined || value === null || value === '' ? null : String(value).slice(0, MAX_TEXT_LENGTH));
+const number = (value) => (value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+const integer = (value) => (number(value) === null ? null : Math.round(Number(value)));
+
+const eventData = (event) => {
+    const data = {};
+    EVENT_DATA_FIELDS.forEach(name => {
+        if (event[name] !== undefined && event[name] !== null) data[name] = event[name];
+    });
+    return Object.keys(data).length ? JSON.stringify(data) : null;
+};
+
+const eventProps = (event) => {
+    const props = customProperties(event);
+    return Object.keys(props).length ? JSON.stringify(props) : null;
+};
+
+/**
+ * Values for one validated event in EVENT_COLUMNS order. Numbers and text
+ * are coerced so one malformed field can't fail the whole batch insert.
+ * `ua` comes from parseUserAgent() and `geo` from lookupGeo() for the request.
+ */
+const eventRow = (event, { ua, geo }) => [
+    event.site_id,
+    event.visitor_id,
+    event.session_id,
+    text(event.event_type),
+    event.timestamp ? new Date(event.timestamp).toISOString() : new Date().toISOString(),
+    text(event.url),
+    text(event.path),
+    text(event.hostname),
+    text(event.title),
+    text(event.source),
+    text(event.medium),
+    text(event.referrer),
+    text(event.utm_source),
+    text(event.utm_medium),
+    text(event.utm_campaign),
+    text(event.utm_term),
+    text(event.utm_content),
+    text(event.ref),
+    ua.device_type,
+    ua.browser,
+    ua.os,
+    integer(event.screenWidth),
+    integer(event.screenHeight),
+    text(event.language),
+    text(event.timezone),
+    text(event.event_name),
+    eventData(event),
+    number(event.amount) || number(event.revenue),
+    text(event.currency),
+    integer(event.duration_seconds),
+    geo.country || null,
+    geo.city || null,
+    ua.browser_version,
+    ua.os_version,
+    eventProps(event)
+];
+
+/**
+ * One INSERT ... VALUES (...), (...) statement for a batch of rows.
+ * Returns { text, values } for query().
+ */
+const buildEventsInsert = (rows) => {
+    const values = [];
+    const tuples = rows.map(row => {
+        const placeholders = row.map(value => {
+            values.push(value === undefined ? null : value);
+            return `$${values.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+    });
+
+    return {
+        text: `INSERT INTO events (${EVENT_COLUMNS.join(', ')}) VALUES ${tuples.join(', ')}`,
+        values
+    };
+};
+
+module.exports = {
+    EVENT_COLUMNS,
+    eventRow,
+    buildEventsInsert
+};
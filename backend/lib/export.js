@@ -0,0 +1,172 @@
+/**
+ * TrackFlow Analytics - Exports
+ *
+ * Every report endpoint answers ?format=csv|json with a download of the same
+ * report (see reportDownload in server.js). JSON is the report as the
+ * dashboard gets it. CSV is one table: reports made of several tables
+ * (sessions, devices, revenue) get a leading `section` column, and nested
+ * values that don't flatten naturally are written as JSON.
+ *
+ * Raw events are exported by /api/sites/:siteId/export as NDJSON or CSV,
+ * read from a Postgres cursor in batches and streamed to the client.
+ */
+
+const REPORT_FORMATS = ['csv', 'json'];
+const EVENT_EXPORT_FORMATS = ['ndjson', 'csv'];
+
+// events columns in raw exports, in order
+const EVENT_EXPORT_COLUMNS = [
+    'id', 'timestamp', 'event_type', 'event_name', 'visitor_id', 'session_id',
+    'url', 'hostname', 'path', 'title', 'referrer', 'source', 'medium',
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref',
+    'country', 'city', 'device_type', 'browser', 'browser_version', 'os', 'os_version',
+    'screen_width', 'screen_height', 'language', 'timezone',
+    'duration_seconds', 'revenue', 'currency', 'props'
+];
+
+class ExportError extends Error {}
+
+// Validates ?format= against `formats`, which lists the default first
+const parseExportFormat = (format, formats) => {
+    if (format === undefined || format === '') return formats[0];
+    if (!formats.includes(format)) throw new ExportError(`format must be one of ${formats.join(', ')}`);
+    return format;
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (RFC 4180, CRLF-terminated)
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Rows of objects -> CSV with a header of `columns`, then any other key in order of
+// first appearance. The header is written even when there are no rows.
+const toCsv = (rows, columns = []) => {
+    const header = [...columns];
+    rows.forEach(row => Object.keys(row).forEach(key => { if (!header.includes(key)) header.push(key); }));
+    return csvLine(header) + rows.map(row => csvLine(header.map(column => row[column]))).join('');
+};
+
+// { name: rows } -> rows with their `section` first
+const sections = (tables) => Object.entries(tables).flatMap(([section, rows]) => rows.map(row => ({ section, ...row })));
+
+// Report (as named in SHARE_VIEWS) -> the rows of its CSV; reports not listed
+// are already a list of rows
+const REPORT_ROWS = {
+    stats: (report) => Object.keys(report.comparison.previous).map(metric => ({
+        metric,
+        value: report[metric],
+        previous_value: report.comparison.previous[metric]
+    })),
+    realtime: (report) => report.visitors,
+    sessions: (report) => sections({
+        summary: [report.summary],
+        entry_pages: report.entry_pages,
+        exit_pages: report.exit_pages,
+        duration_histogram: report.duration_histogram
+    }),
+    devices: (report) => sections({ devices: report.devices, browsers: report.browsers, os: report.os }),
+    'events/:eventName/properties': (report) => report.properties.flatMap(property => property.values.map(value => ({
+        event_name: report.event_name,
+        key: property.key,
+        ...value
+    }))),
+    revenue: (report) => sections({
+        totals: [{ currency: report.currency, ...report.totals }],
+        by_currency: report.by_currency,
+        providers: report.providers.map(provider => ({ currency: report.currency, ...provider })),
+        attribution: [
+            ...report.attribution.rows.map(({ value, ...row }) => ({ [report.attribution.dimension]: value, ...row })),
+            { [report.attribution.dimension]: '(unattributed)', ...report.attribution.unattributed }
+        ]
+    }),
+    retention: (report) => report.cohorts.flatMap(cohort => cohort.counts.map((visitors, period) => ({
+        cohort: cohort.date,
+        size: cohort.size,
+        period,
+        visitors,
+        retention: cohort.retention[period]
+    }))),
+    goals: (report) => report.goals.map(goal => ({
+        name: goal.name,
+        type: goal.type,
+        conversions: goal.conversions,
+        converters: goal.converters,
+        conversion_rate: goal.conversion_rate,
+        revenue: goal.revenue,
+        currency: report.currency
+    })),
+    'funnels/:funnelId/analyze': (report) => report.steps.map((step, i) => ({ funnel: report.name, step: i + 1, ...step }))
+};
+
+// Report -> its CSV columns (or a function of the report returning them), so empty
+// reports still get a header
+const REPORT_COLUMNS = {
+    stats: ['metric', 'value', 'previous_value'],
+    timeseries: ['date', 'visitors', 'pageviews'],
+    realtime: ['visitor_id', 'path', 'device_type', 'country', 'source', 'last_seen'],
+    pages: ['path', 'title', 'views', 'visitors', 'entries', 'exits', 'bounce_rate', 'exit_rate'],
+    sessions: ['section', 'sessions', 'bounce_rate', 'avg_duration', 'median_duration', 'pages_per_session', 'path', 'entries', 'exits', 'bucket'],
+    sources: ['source', 'medium', 'visitors'],
+    countries: ['country', 'city', 'visitors'],
+    devices: ['section', 'device_type', 'visitors', 'browser', 'os'],
+    campaigns: ['utm_source', 'utm_medium', 'utm_campaign', 'visitors', 'pageviews'],
+    events: ['event_name', 'count', 'unique_users'],
+    'events/:eventName/properties': ['event_name', 'key', 'value', 'events', 'visitors'],
+    revenue: (report) => [
+        'section', 'currency', 'revenue', 'refunded', 'payments', 'avg_payment', 'unconverted_payments', 'converted_revenue',
+        'provider', report.attribution.dimension, 'conversions', 'converters', 'visitors', 'conversion_rate', 'revenue_per_visitor'
+    ],
+    retention: ['cohort', 'size', 'period', 'visitors', 'retention'],
+    goals: ['name', 'type', 'conversions', 'converters', 'conversion_rate', 'revenue', 'currency'],
+    funnels: ['id', 'site_id', 'name', 'steps', 'window_minutes', 'scope', 'created_at'],
+    'funnels/:funnelId/analyze': ['funnel', 'step', 'type', 'label', 'count', 'conversion_rate', 'dropoff', 'median_seconds']
+};
+
+const reportColumns = (report, body) => {
+    const columns = REPORT_COLUMNS[report] || [];
+    return typeof columns === 'function' ? columns(body) : columns;
+};
+
+const reportRows = (report, body) => {
+    if (REPORT_ROWS[report]) return REPORT_ROWS[report](body);
+    return Array.isArray(body) ? body : [body];
+};
+
+// YYYY-MM-DD of an instant in the range's zone
+const localDate = (date, tz) => date.toLocaleDateString('en-CA', { timeZone: tz });
+
+// Download name: the report with its path parameters filled in, and the first and
+// last day of the range (whose `to` is exclusive)
+const exportFilename = (report, params, range, format) => {
+    const name = report.replace(/:(\w+)/g, (_, param) => params[param] || param).replace(/[^A-Za-z0-9_-]+/g, '-');
+    const dates = range && range.from ? `-${localDate(range.from, range.tz)}-${localDate(new Date(range.to.getTime() - 1), range.tz)}` : '';
+    return `trackflow-${name}${dates}.${format}`;
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    EVENT_EXPORT_FORMATS,
+    EVENT_EXPORT_COLUMNS,
+    ExportError,
+    parseExportFormat,
+    csvLine,
+    toCsv,
+    reportRows,
+    reportColumns,
+    exportFilename
+};
@@ -0,0 +1,160 @@
+/**
+ * TrackFlow Analytics - Report Filters
+ *
+ * Turns query-string filters into a parameterised SQL fragment that every
+ * analytics endpoint appends to its WHERE clause.
+ *
+ *   ?device_type=mobile             equals
+ *   ?country=US&country=DE          equals any of
+ *   ?source[neq]=direct             not equals
+ *   ?path[contains]=/blog           contains (case-insensitive)
+ *   ?utm_campaign[regex]=^spring-   POSIX regex (case-insensitive)
+ */
+
+// Query-string name -> events column
+const FILTER_COLUMNS = {
+    path: 'path',
+    hostname: 'hostname',
+    source: 'source',
+    medium: 'medium',
+    referrer: 'referrer',
+    utm_source: 'utm_source',
+    utm_medium: 'utm_medium',
+    utm_campaign: 'utm_campaign',
+    utm_term: 'utm_term',
+    utm_content: 'utm_content',
+    country: 'country',
+    city: 'city',
+    device_type: 'device_type',
+    browser: 'browser',
+    os: 'os',
+    event_name: 'event_name'
+};
+
+const OPERATORS = ['eq', 'neq', 'contains', 'regex'];
+
+const MAX_VALUE_LENGTH = 500;
+
+class FilterError extends Error {}
+
+const toValues = (raw, field) => {
+    const values = Array.isArray(raw) ? raw : [raw];
+    values.forEach(v => {
+        if (typeof v !== 'string') throw new FilterError(`Invalid value for filter "${field}"`);
+        if (v.length > MAX_VALUE_LENGTH) throw new FilterError(`Filter "${field}" is too long`);
+    });
+    return values;
+};
+
+/**
+ * Extract filters from req.query.
+ * Returns [{ field, column, op, values }]; throws FilterError on bad input.
+ */
+const parseFilters = (queryParams = {}) => {
+    const filters = [];
+
+    for (const field of Object.keys(FILTER_COLUMNS)) {
+        const raw = queryParams[field];
+        if (raw === undefined || raw === '') continue;
+
+        // ?path=/x or ?path=/x&path=/y  ->  eq
+        const byOperator = (typeof raw === 'object' && !Array.isArray(raw)) ? raw : { eq: raw };
+
+        for (const [op, value] of Object.entries(byOperator)) {
+            if (!OPERATORS.includes(op)) throw new FilterError(`Unknown operator "${op}" for filter "${field}"`);
+            const values = toValues(value, field);
+
+            if (op === 'regex') {
+                if (values.length > 1) throw new FilterError(`Filter "${field}[regex]" takes a single pattern`);
+                try { new RegExp(values[0]); } catch (e) { throw new FilterError(`Invalid regex for filter "${field}"`); }
+            }
+
+            filters.push({ field, column: FILTER_COLUMNS[field], op, values });
+        }
+    }
+
+    return filters;
+};
+
+/**
+ * Regex filters are checked with JavaScript's RegExp but run as Postgres regexes,
+ * whose syntax differs (no named groups or \p{...}, for one). Ask Postgres
+ * whether it accepts each pattern; throws FilterError when it doesn't.
+ */
+const validateRegexFilters = async (query, filters) => {
+    for (const filter of filters.filter(f => f.op === 'regex')) {
+        try {
+            await query("SELECT '' ~* $1", [filter.values[0]]);
+        } catch (err) {
+            if (err.code === '2201B') throw new FilterError(`Invalid regex for filter "${filter.field}"`);
+            throw err;
+        }
+    }
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Single condition for one filter against a (possibly qualified) column
+const buildCondition = (filter, column, params) => {
+    const { op, values } = filter;
+
+    if (op === 'regex') {
+        params.push(values[0]);
+        return `${column} ~* $${params.length}`;
+    }
+
+    if (op === 'contains') {
+        const parts = values.map(v => {
+            params.push(`%${escapeLike(v)}%`);
+            return `${column} ILIKE $${params.length}`;
+        });
+        return parts.length === 1 ? parts[0] : `(${parts.join(' OR ')})`;
+    }
+
+    if (values.length === 1) {
+        params.push(values[0]);
+        return op === 'eq'
+            ? `${column} = $${params.length}`
+            : `${column} IS DISTINCT FROM $${params.length}`;
+    }
+
+    params.push(values);
+    return op === 'eq'
+        ? `${column} = ANY($${params.length})`
+        : `(${column} IS NULL OR ${column} <> ALL($${params.length}))`;
+};
+
+/**
+ * Build " AND ..." for the given filters, pushing values onto `params`.
+ *
+ * options.alias    - table alias of the events row being filtered (default: unqualified)
+ * options.eventScope - 'session' (default) matches event_name against any event in the
+ *                      row's session, so pageview reports can be narrowed to sessions that
+ *                      fired an event; 'row' matches the row's own event_name.
+ */
+const buildFilterSql = (filters, params, options = {}) => {
+    if (!filters || filters.length === 0) return '';
+
+    const { alias = null, eventScope = 'session' } = options;
+    const col = (name) => (alias ? `${alias}.${name}` : name);
+
+    return filters.map(filter => {
+        if (filter.field === 'event_name' && eventScope === 'session') {
+            const outer = alias || 'events';
+            return ` AND EXISTS (
+                SELECT 1 FROM events fe
+                WHERE fe.site_id = ${outer}.site_id AND fe.session_id = ${outer}.session_id
+                AND ${buildCondition(filter, 'fe.event_name', params)}
+            )`;
+        }
+        return ` AND ${buildCondition(filter, col(filter.column), params)}`;
+    }).join('');
+};
+
+module.exports = {
+    FILTER_COLUMNS,
+    FilterError,
+    parseFilters,
+    validateRegexFilters,
+    buildFilterSql
+};
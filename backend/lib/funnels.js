@@ -0,0 +1,161 @@
+/**
+ * TrackFlow Analytics - Funnels
+ *
+ * A funnel is an ordered list of steps (a pageview path, where * matches any
+ * characters, or a custom event name). An actor - a visitor or, in session
+ * scope, a session - reaches step N when it completed steps 1..N in that
+ * order, each after the previous one, and all within `window_minutes` of
+ * step 1.
+ *
+ * buildFunnelSql() computes every step in a single query: each occurrence of
+ * step 1 is a candidate start, each following step takes its earliest match
+ * after the previous one inside the window, and every actor keeps the
+ * candidate that got furthest (earliest start on ties). Median time between
+ * steps comes from those chains.
+ */
+
+const { buildRangeSql } = require('./date-range');
+const { buildFilterSql } = require('./filters');
+const { pathPatternToLike } = require('./goals');
+
+const FUNNEL_SCOPES = ['visitor', 'session'];
+const STEP_TYPES = ['pageview', 'event'];
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+const DEFAULT_WINDOW_MINUTES = 24 * 60;
+const MAX_WINDOW_MINUTES = 90 * 24 * 60;
+
+class FunnelError extends Error {}
+
+/**
+ * Validate a funnel definition ({ name, steps, window_minutes, scope }).
+ * `name` is only required when saving. Throws FunnelError.
+ */
+const parseFunnel = (body = {}, { requireName = false } = {}) => {
+    const { steps } = body;
+    if (!Array.isArray(steps) || steps.length < MIN_STEPS) throw new FunnelError(`At least ${MIN_STEPS} steps required`);
+    if (steps.length > MAX_STEPS) throw new FunnelError(`At most ${MAX_STEPS} steps allowed`);
+
+    const parsedSteps = steps.map((step, i) => {
+        if (!step || !STEP_TYPES.includes(step.type)) throw new FunnelError(`Step ${i + 1}: type must be pageview or event`);
+        if (typeof step.value !== 'string' || !step.value.trim()) throw new FunnelError(`Step ${i + 1}: value is required`);
+        if (step.value.length > 2048) throw new FunnelError(`Step ${i + 1}: value is too long`);
+        return {
+            type: step.type,
+            value: step.value.trim(),
+            ...(typeof step.label === 'string' && step.label.trim() ? { label: step.label.trim().slice(0, 128) } : {})
+        };
+    });
+
+    const windowMinutes = body.window_minutes === undefined || body.window_minutes === null
+        ? DEFAULT_WINDOW_MINUTES
+        : Number(body.window_minutes);
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+        throw new FunnelError(`window_minutes must be a whole number between 1 and ${MAX_WINDOW_MINUTES}`);
+    }
+
+    const scope = body.scope || 'visitor';
+    if (!FUNNEL_SCOPES.includes(scope)) throw new FunnelError(`scope must be one of ${FUNNEL_SCOPES.join(', ')}`);
+
+    let name = null;
+    if (requireName || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) throw new FunnelError('name is required');
+        name = body.name.trim().slice(0, 128);
+    }
+
+    return { name, steps: parsedSteps, window_minutes: windowMinutes, scope };
+};
+
+// Condition matching events rows for one step; also used for retention's start/return events
+const stepConditionSql = (step, params) => {
+    params.push(step.type === 'pageview' ? pathPatternToLike(step.value) : step.value);
+    return step.type === 'pageview'
+        ? `(event_type = 'pageview' AND path LIKE $${params.length})`
+        : `(event_type != 'pageview' AND event_name = $${params.length})`;
+};
+
+/**
+ * Single query over the site's events in `range` (site id bound as $1).
+ * Returns one row: step_1..step_N (actors reaching each step) and
+ * median_2..median_N (median seconds from the previous step).
+ */
+const buildFunnelSql = (funnel, range, filters, params) => {
+    const actor = funnel.scope === 'session' ? 'session_id' : 'visitor_id';
+    const rangeSql = buildRangeSql(range, params);
+    const filterSql = buildFilterSql(filters, params);
+    const conditions = funnel.steps.map(step => stepConditionSql(step, params));
+    params.push(funnel.window_minutes);
+    const windowSql = `($${params.length}::integer * INTERVAL '1 minute')`;
+
+    const n = funnel.steps.length;
+    const stepNumbers = Array.from({ length: n }, (_, i) => i + 1);
+
+    const chainCtes = stepNumbers.slice(1).map(k => {
+        const previousTimes = stepNumbers.slice(0, k - 1).map(j => `c.t${j}`).join(', ');
+        return `
+        chain_${k} AS (
+            SELECT c.actor, ${previousTimes}, MIN(b.timestamp) as t${k}
+            FROM chain_${k - 1} c
+            LEFT JOIN base b ON b.actor = c.actor AND b.m${k}
+                AND b.timestamp > c.t${k - 1} AND b.timestamp <= c.t1 + ${windowSql}
+            GROUP BY c.actor, ${previousTimes}
+        )`;
+    });
+
+    const stepsReached = stepNumbers.slice(1).map(k => `(t${k} IS NOT NULL)::int`).join(' + ');
+
+    return `
+        WITH base AS (
+            SELECT ${actor} as actor, timestamp,
+                ${conditions.map((c, i) => `${c} as m${i + 1}`).join(',\n                ')}
+            FROM events
+            WHERE site_id = $1 ${rangeSql}
+            ${filterSql}
+            AND (${conditions.join(' OR ')})
+        ),
+        chain_1 AS (
+            SELECT actor, timestamp as t1 FROM base WHERE m1
+        ),${chainCtes.join(',')},
+        best AS (
+            SELECT DISTINCT ON (actor) *
+            FROM chain_${n}
+            ORDER BY actor, ${stepsReached} DESC, t1
+        )
+        SELECT
+            ${stepNumbers.map(k => `COUNT(t${k}) as step_${k}`).join(',\n            ')},
+            ${stepNumbers.slice(1).map(k => `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (t${k} - t${k - 1}))) as median_${k}`).join(',\n            ')}
+        FROM best
+    `;
+};
+
+/**
+ * Shape the buildFunnelSql() row into per-step results:
+ *   { step, type, label, count, conversion_rate (% of step 1),
+ *     dropoff (% lost since the previous step), median_seconds (from the previous step) }
+ */
+const formatFunnelResult = (funnel, row) => {
+    const first = parseInt(row.step_1);
+    return funnel.steps.map((step, i) => {
+        const count = parseInt(row[`step_${i + 1}`]);
+        const previous = i === 0 ? count : parseInt(row[`step_${i}`]);
+        const median = i === 0 ? null : row[`median_${i + 1}`];
+        return {
+            step: step.value,
+            type: step.type,
+            label: step.label || step.value,
+            count,
+            conversion_rate: first > 0 ? Math.round((count / first) * 1000) / 10 : 0,
+            dropoff: previous > 0 ? Math.round(((previous - count) / previous) * 1000) / 10 : 0,
+            median_seconds: median === null || median === undefined ? null : Math.round(parseFloat(median))
+        };
+    });
+};
+
+module.exports = {
+    FUNNEL_SCOPES,
+    FunnelError,
+    parseFunnel,
+    stepConditionSql,
+    buildFunnelSql,
+    formatFunnelResult
+};
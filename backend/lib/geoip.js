@@ -0,0 +1,77 @@
+/**
+ * TrackFlow Analytics - GeoIP
+ *
+ * Resolves a visitor IP to { country, city } from a local database file; no
+ * network lookups are made. GEOIP_DB_PATH selects the backend:
+ *
+ *   *.mmdb  MaxMind GeoLite2/GeoIP2 City or Country database
+ *   *.json  stub database for tests: { "203.0.113.7": { "country": "TH", "city": "Bangkok" } }
+ *
+ * Without a database every lookup returns null. A custom resolver can be
+ * plugged in with setGeoIpResolver(ip => ({ country, city }) | null).
+ */
+
+const fs = require('fs');
+const maxmind = require('maxmind');
+
+let resolver = null;
+
+const normalizeIp = (ip) => {
+    if (!ip) return null;
+    // IPv4-mapped IPv6 (::ffff:1.2.3.4) as reported by dual-stack sockets
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : ip;
+};
+
+const mmdbResolver = (reader) => (ip) => {
+    const record = reader.get(ip);
+    if (!record) return null;
+    return {
+        country: (record.country && record.country.iso_code) || (record.registered_country && record.registered_country.iso_code) || null,
+        city: (record.city && record.city.names && record.city.names.en) || null
+    };
+};
+
+const stubResolver = (entries) => (ip) => {
+    const entry = entries[ip];
+    return entry ? { country: entry.country || null, city: entry.city || null } : null;
+};
+
+const setGeoIpResolver = (fn) => {
+    resolver = fn;
+};
+
+// Load the database named by GEOIP_DB_PATH (or `dbPath`); call once at startup
+const initGeoIp = async (dbPath = process.env.GEOIP_DB_PATH) => {
+    if (!dbPath) {
+        console.log('GeoIP disabled (GEOIP_DB_PATH not set)');
+        return;
+    }
+
+    if (dbPath.endsWith('.json')) {
+        setGeoIpResolver(stubResolver(JSON.parse(fs.readFileSync(dbPath, 'utf8'))));
+    } else {
+        setGeoIpResolver(mmdbResolver(await maxmind.open(dbPath)));
+    }
+    console.log(`GeoIP database loaded from ${dbPath}`);
+};
+
+/**
+ * Look up an IP. Returns { country, city } or null; never throws.
+ * The IP is only used for the lookup - callers must not store it.
+ */
+const lookupGeo = (ip) => {
+    const address = normalizeIp(ip);
+    if (!resolver || !address || !maxmind.validate(address)) return null;
+    try {
+        return resolver(address);
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = {
+    initGeoIp,
+    lookupGeo,
+    setGeoIpResolver
+};
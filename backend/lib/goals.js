@@ -0,0 +1,102 @@
+/**
+ * TrackFlow Analytics - Goals
+ *
+ * A goal is a per-site conversion definition of one of three types:
+ *
+ *   pageview  a pageview whose path matches `path_pattern` (* matches any characters)
+ *   event     a custom event named `event_name`, optionally only when
+ *             props[`property_key`] equals `property_value`
+ *   goal_id   a TrackFlow.trackGoal(`goal_id`) call
+ *
+ * goalConditionSql() turns a definition into a WHERE condition over events
+ * rows so reports can count conversions with plain aggregates.
+ */
+
+const GOAL_TYPES = ['pageview', 'event', 'goal_id'];
+
+class GoalError extends Error {}
+
+const requireString = (value, name, maxLength) => {
+    if (typeof value !== 'string' || !value.trim()) throw new GoalError(`${name} is required`);
+    if (value.length > maxLength) throw new GoalError(`${name} is longer than ${maxLength} characters`);
+    return value.trim();
+};
+
+const optionalString = (value, name, maxLength) => {
+    if (value === undefined || value === null || value === '') return null;
+    return requireString(value, name, maxLength);
+};
+
+/**
+ * Validate a goal definition from a request body. Returns the columns to
+ * store ({ name, type, path_pattern, event_name, property_key,
+ * property_value, goal_id }); throws GoalError.
+ */
+const parseGoal = (body = {}) => {
+    const type = body.type;
+    if (!GOAL_TYPES.includes(type)) throw new GoalError(`type must be one of ${GOAL_TYPES.join(', ')}`);
+
+    const goal = {
+        name: requireString(body.name, 'name', 128),
+        type,
+        path_pattern: null,
+        event_name: null,
+        property_key: null,
+        property_value: null,
+        goal_id: null
+    };
+
+    if (type === 'pageview') {
+        goal.path_pattern = requireString(body.path_pattern, 'path_pattern', 2048);
+    } else if (type === 'event') {
+        goal.event_name = requireString(body.event_name, 'event_name', 128);
+        goal.property_key = optionalString(body.property_key, 'property_key', 64);
+        if (goal.property_key) {
+            if (body.property_value === undefined || body.property_value === null) throw new GoalError('property_value is required with property_key');
+            goal.property_value = requireString(String(body.property_value), 'property_value', 1000);
+        }
+    } else {
+        goal.goal_id = requireString(body.goal_id, 'goal_id', 128);
+    }
+
+    return goal;
+};
+
+// "/pricing*" -> "/pricing%" for LIKE, with literal % and _ escaped
+const pathPatternToLike = (pattern) => pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+
+/**
+ * SQL condition matching events rows that complete `goal`. Pushes its values
+ * onto `params`; `alias` prefixes the columns (e.g. 'e').
+ */
+const goalConditionSql = (goal, params, { alias } = {}) => {
+    const col = (name) => (alias ? `${alias}.${name}` : name);
+
+    switch (goal.type) {
+        case 'pageview':
+            params.push(pathPatternToLike(goal.path_pattern));
+            return `(${col('event_type')} = 'pageview' AND ${col('path')} LIKE $${params.length})`;
+        case 'event': {
+            params.push(goal.event_name);
+            let sql = `${col('event_type')} != 'pageview' AND ${col('event_name')} = $${params.length}`;
+            if (goal.property_key) {
+                params.push(goal.property_key, goal.property_value);
+                sql += ` AND ${col('props')} ->> $${params.length - 1} = $${params.length}`;
+            }
+            return `(${sql})`;
+        }
+        case 'goal_id':
+            params.push(goal.goal_id);
+            return `(${col('event_type')} = 'goal' AND (${col('event_data')}::jsonb ->> 'goal_id') = $${params.length})`;
+        default:
+            throw new GoalError(`Unknown goal type "${goal.type}"`);
+    }
+};
+
+module.exports = {
+    GOAL_TYPES,
+    GoalError,
+    parseGoal,
+    pathPatternToLike,
+    goalConditionSql
+};
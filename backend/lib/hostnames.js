@@ -0,0 +1,46 @@
+/**
+ * TrackFlow Analytics - Allowed Hostnames
+ *
+ * Each site lists the hostnames its tracker may report from. A pattern is an
+ * exact hostname (example.com) or a wildcard for any subdomain depth
+ * (*.example.com, which does not match example.com itself). Sites without an
+ * explicit list allow their domain and its subdomains.
+ */
+
+const HOSTNAME_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// "https://www.Example.com:8080/path" -> "example.com"; null when nothing usable is left
+const normalizeHostname = (value) => {
+    if (typeof value !== 'string') return null;
+    const host = value.trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '')
+        .replace(/\.$/, '')
+        .replace(/^www\./, '');
+    return host || null;
+};
+
+const isValidHostnamePattern = (pattern) => typeof pattern === 'string' && pattern.length <= 253 && HOSTNAME_PATTERN.test(pattern);
+
+// The site's explicit list, or its domain plus subdomains
+const allowedHostnamesFor = (site) => {
+    if (site.allowed_hostnames && site.allowed_hostnames.length) return site.allowed_hostnames;
+    const domain = normalizeHostname(site.domain);
+    return domain ? [domain, `*.${domain}`] : [];
+};
+
+const matchesHostname = (hostname, patterns) => {
+    const host = normalizeHostname(hostname);
+    if (!host) return false;
+    return patterns.some(pattern => (pattern.startsWith('*.')
+        ? host.endsWith(pattern.slice(1))
+        : host === pattern));
+};
+
+module.exports = {
+    normalizeHostname,
+    isValidHostnamePattern,
+    allowedHostnamesFor,
+    matchesHostname
+};
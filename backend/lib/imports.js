@@ -0,0 +1,452 @@
+/**
+ * TrackFlow Analytics - Historical Imports
+ *
+ * Sites moving over from Google Analytics (GA4 or Universal Analytics) or
+ * Plausible bring their history as CSV exports. Each file is one report
+ * broken down by day, and its header row decides the table it fills:
+ *
+ *   imported_pages      a page column         (Page path and screen class, Page, page)
+ *   imported_sources    a source column       (Session source / medium, Source, source)
+ *   imported_countries  a country column      (Country, country)
+ *   imported_devices    a device category, browser or operating system column,
+ *                       one per file (the first of these)
+ *   imported_visitors   none of these: daily visitors, pageviews and visits
+ *
+ * Values are normalized to what the tracker records (lowercase sources and
+ * browsers, ISO country codes) and rows sharing a day and key are summed.
+ * Reports add imported rows to native ones only for days before the site's
+ * first event, so history and live data never overlap (see
+ * buildImportedRangeSql).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeBrowser, normalizeOs } = require('./user-agent');
+
+const IMPORT_SOURCES = ['ga4', 'ua', 'plausible'];
+const MAX_IMPORT_ERRORS = 20;
+const INSERT_BATCH_SIZE = 500;
+
+// Report -> table, key columns and summed metric columns
+const IMPORT_REPORTS = {
+    pages: { table: 'imported_pages', keys: ['path'], metrics: ['visitors', 'pageviews'] },
+    sources: { table: 'imported_sources', keys: ['source', 'medium'], metrics: ['visitors', 'visits'] },
+    countries: { table: 'imported_countries', keys: ['country', 'city'], metrics: ['visitors'] },
+    devices: { table: 'imported_devices', keys: ['device_type'], metrics: ['visitors'] },
+    browsers: { table: 'imported_devices', keys: ['browser'], metrics: ['visitors'] },
+    operating_systems: { table: 'imported_devices', keys: ['os'], metrics: ['visitors'] },
+    visitors: { table: 'imported_visitors', keys: [], metrics: ['visitors', 'pageviews', 'visits'] }
+};
+
+// Field -> lowercased column names in GA4, Universal Analytics and Plausible exports, preferred first
+const COLUMN_NAMES = {
+    date: ['date', 'day index', 'day'],
+    path: ['page path and screen class', 'page path', 'page path + query string', 'page'],
+    source_medium: ['session source / medium', 'source / medium', 'first user source / medium'],
+    source: ['session source', 'source', 'first user source'],
+    medium: ['session medium', 'medium', 'first user medium', 'utm_medium'],
+    country: ['country', 'country id', 'country iso code'],
+    city: ['city'],
+    device_type: ['device category', 'device'],
+    browser: ['browser'],
+    os: ['operating system', 'operating_system'],
+    visitors: ['total users', 'users', 'active users', 'visitors', 'unique pageviews'],
+    pageviews: ['views', 'screen page views', 'pageviews', 'page views'],
+    visits: ['sessions', 'visits']
+};
+
+const METRIC_FIELDS = ['visitors', 'pageviews', 'visits'];
+
+class ImportError extends Error {}
+
+/**
+ * Parse CSV text (RFC 4180, optional BOM) into rows of { line, cells }, where
+ * line is the 1-based line the row starts on.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endCell = () => { cells.push(cell); cell = ''; };
+    const endRow = () => {
+        endCell();
+        rows.push({ line: rowLine, cells });
+        cells = [];
+        rowLine = line;
+    };
+
+    for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n') {
+            line++;
+            endRow();
+        } else if (char !== '\r') {
+            cell += char;
+        }
+    }
+    if (cell || cells.length) endRow();
+    return rows;
+};
+
+const isBlankRow = (cells) => cells.every(cell => !cell.trim());
+
+// GA puts report details in # comment lines above the table
+const isCommentRow = (cells) => cells[0].trim().startsWith('#');
+
+// Numbers, percentages and durations as they appear in metric columns (1,234 / 45.2% / 00:01:23 / 12.5s)
+const isMetricValue = (value) => /^[\d\s.,:%-]*s?$/.test(value.trim());
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYYMMDD (GA), YYYY-MM-DD (Plausible) or M/D/YY (Universal Analytics' Day Index) -> YYYY-MM-DD
+const parseDay = (value) => {
+    let match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    let [year, month, day] = match ? match.slice(1).map(Number) : [];
+    if (!match) {
+        match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (!match) return null;
+        [month, day, year] = match.slice(1).map(Number);
+        if (year < 100) year += 2000;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const parseCount = (value) => {
+    const number = Number(value.replace(/[\s,]/g, ''));
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+};
+
+// GA's placeholders for missing values
+const isNotSet = (value) => !value || value === '(not set)' || value === '(other)';
+
+// Country names (English, as GA reports them) -> ISO 3166-1 alpha-2, built on first use.
+// Intl also names withdrawn codes (UK, SU, ZR...) and groupings; those are left out.
+const NON_COUNTRY_CODES = ['AN', 'BU', 'CS', 'DD', 'DY', 'EU', 'EZ', 'FX', 'HV', 'NH', 'QO', 'RH', 'SU', 'TP', 'UK', 'UN', 'VD', 'XA', 'XB', 'YD', 'YU', 'ZR'];
+const COUNTRY_ALIASES = {
+    'turkey': 'TR',
+    'hong kong': 'HK',
+    'macao': 'MO',
+    'macau': 'MO',
+    'palestine': 'PS',
+    'czech republic': 'CZ',
+    'united states of america': 'US',
+    'myanmar': 'MM',
+    'ivory coast': 'CI',
+    'democratic republic of the congo': 'CD',
+    'republic of the congo': 'CG'
+};
+let countryCodes = null;
+
+const countryCode = (name) => {
+    if (!countryCodes) {
+        const displayNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        countryCodes = { ...COUNTRY_ALIASES };
+        for (let a = 65; a <= 90; a++) {
+            for (let b = 65; b <= 90; b++) {
+                const code = String.fromCharCode(a, b);
+                if (NON_COUNTRY_CODES.includes(code)) continue;
+                const label = displayNames.of(code);
+                if (label && label !== code) countryCodes[label.toLowerCase()] = code;
+            }
+        }
+    }
+    return countryCodes[name.toLowerCase()] || null;
+};
+
+// Source names Plausible shows -> what the tracker records
+const SOURCE_NAMES = {
+    'direct / none': 'direct',
+    '(direct)': 'direct',
+    'hacker news': 'hackernews',
+    'product hunt': 'producthunt',
+    'x': 'twitter'
+};
+
+// Medium the tracker would have given a source, for exports without one
+const SEARCH_SOURCES = ['google', 'bing', 'duckduckgo', 'yahoo', 'baidu'];
+const SOCIAL_SOURCES = ['facebook', 'twitter', 'linkedin', 'instagram', 'reddit', 'youtube', 'tiktok'];
+const mediumFor = (source) => {
+    if (source === 'direct') return 'none';
+    if (SEARCH_SOURCES.includes(source)) return 'organic';
+    if (SOCIAL_SOURCES.includes(source)) return 'social';
+    return 'referral';
+};
+
+const normalizeSource = (source, medium) => {
+    const name = isNotSet(source) ? '' : source.trim().toLowerCase();
+    const normalized = SOURCE_NAMES[name] || name || 'direct';
+    if (normalized === 'direct') return { source: 'direct', medium: 'none' };
+    const mediumName = isNotSet(medium) ? '' : medium.trim().toLowerCase().replace(/^\((.*)\)$/, '$1');
+    return { source: normalized, medium: mediumName || mediumFor(normalized) };
+};
+
+// Field -> (value, row) -> normalized value; throws ImportError for values that can't be imported
+const FIELD_VALUES = {
+    path: (value) => {
+        const path = value.trim().replace(/[?#].*$/, '');
+        if (!path.startsWith('/')) throw new ImportError(`"${value}" is not a page path`);
+        return path;
+    },
+    country: (value) => {
+        if (isNotSet(value)) return null;
+        const trimmed = value.trim();
+        if (/^[A-Za-z]{2}$/.test(trimmed)) return trimmed.toUpperCase();
+        const code = countryCode(trimmed);
+        if (!code) throw new ImportError(`unknown country "${trimmed}"`);
+        return code;
+    },
+    // Plausible exports cities as GeoNames IDs, which we have no names for
+    city: (value) => (isNotSet(value) || /^\d+$/.test(value.trim()) ? null : value.trim()),
+    device_type: (value) => (isNotSet(value) ? null : value.trim().toLowerCase().replace(/\s+/g, '')),
+    // 'unknown' when not set, like the tracker
+    browser: (value) => normalizeBrowser(isNotSet(value) ? '' : value.trim()),
+    os: (value) => normalizeOs(isNotSet(value) ? '' : value.trim())
+};
+
+// Which report a header row is, from the columns it has
+const detectReport = (columns) => {
+    if (columns.path !== undefined) return 'pages';
+    if (columns.source_medium !== undefined || columns.source !== undefined) return 'sources';
+    if (columns.country !== undefined) return 'countries';
+    if (columns.device_type !== undefined) return 'devices';
+    if (columns.browser !== undefined) return 'browsers';
+    if (columns.os !== undefined) return 'operating_systems';
+    return 'visitors';
+};
+
+/**
+ * Read an export into { report, rows, rows_skipped, errors, date_from, date_to }:
+ * the table it fills and its rows, one per day and key with metrics summed.
+ * Rows that can't be imported are skipped, and the first few reasons kept.
+ * Throws ImportError when the file as a whole can't be imported.
+ */
+const readImportFile = (text) => {
+    if (typeof text !== 'string' || !text.trim()) throw new ImportError('Upload a CSV export as text/csv');
+
+    const csvRows = parseCsv(text);
+    let start = 0;
+    while (start < csvRows.length && (isBlankRow(csvRows[start].cells) || isCommentRow(csvRows[start].cells))) start++;
+    if (start === csvRows.length) throw new ImportError('The file has no header row');
+
+    // The first table only: GA appends totals and other tables after a blank line
+    const header = csvRows[start].cells.map(cell => cell.trim().toLowerCase());
+    const body = [];
+    for (const row of csvRows.slice(start + 1)) {
+        if (isBlankRow(row.cells)) break;
+        body.push(row);
+    }
+
+    const columns = {};
+    for (const [field, names] of Object.entries(COLUMN_NAMES)) {
+        const name = names.find(candidate => header.includes(candidate));
+        if (name !== undefined) columns[field] = header.indexOf(name);
+    }
+    if (columns.date === undefined) {
+        throw new ImportError('The file has no Date column: export the report with Date as a dimension so it is broken down by day');
+    }
+
+    const report = detectReport(columns);
+    const { keys, metrics } = IMPORT_REPORTS[report];
+    if (!metrics.some(metric => columns[metric] !== undefined)) {
+        throw new ImportError(`The file has no ${metrics.join(' or ')} column`);
+    }
+
+    // Anything else with text values is a breakdown we don't import (entry pages, events...);
+    // summing it as daily totals would count the same visitors several times
+    if (report === 'visitors') {
+        const known = ['date', ...METRIC_FIELDS].map(field => columns[field]);
+        const other = header.findIndex((name, i) => !known.includes(i) && body.some(row => !isMetricValue(row.cells[i] || '')));
+        if (other !== -1) throw new ImportError(`Can't import a report broken down by "${csvRows[start].cells[other].trim()}"`);
+    }
+
+    const totals = new Map();
+    const errors = [];
+    let skipped = 0;
+    for (const { line, cells } of body) {
+        const cell = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || ''));
+
+        // GA's summary rows have no date
+        const rawDate = cell('date').trim();
+        if (!rawDate || /total/i.test(rawDate)) continue;
+
+        try {
+            const date = parseDay(rawDate);
+            if (!date) throw new ImportError(`invalid date "${rawDate}"`);
+
+            const values = { date };
+            if (report === 'sources') {
+                const [source, medium] = columns.source_medium !== undefined
+                    ? cell('source_medium').split(' / ')
+                    : [cell('source'), cell('medium')];
+                Object.assign(values, normalizeSource(source || '', medium || ''));
+            } else {
+                keys.forEach(key => { values[key] = columns[key] === undefined ? null : FIELD_VALUES[key](cell(key)); });
+            }
+            metrics.forEach(metric => {
+                if (columns[metric] === undefined) {
+                    values[metric] = 0;
+                    return;
+                }
+                values[metric] = parseCount(cell(metric));
+                if (values[metric] === null) throw new ImportError(`invalid ${metric} "${cell(metric)}"`);
+            });
+
+            const key = [date, ...keys.map(k => values[k])].join('\u0000');
+            const existing = totals.get(key);
+            if (existing) {
+                metrics.forEach(metric => { existing[metric] += values[metric]; });
+            } else {
+                totals.set(key, values);
+            }
+        } catch (err) {
+            if (!(err instanceof ImportError)) throw err;
+            skipped++;
+            if (errors.length < MAX_IMPORT_ERRORS) errors.push(`Line ${line}: ${err.message}`);
+        }
+    }
+
+    const rows = [...totals.values()];
+    if (rows.length === 0) {
+        throw new ImportError(errors.length ? `No rows could be imported (${errors[0]})` : 'The file has no rows to import');
+    }
+    const dates = rows.map(row => row.date).sort();
+
+    return { report, rows, rows_skipped: skipped, errors, date_from: dates[0], date_to: dates[dates.length - 1] };
+};
+
+/**
+ * Validate the upload options: source (one of IMPORT_SOURCES) and an optional
+ * file_name. Throws ImportError.
+ */
+const parseImportOptions = (options = {}) => {
+    if (!IMPORT_SOURCES.includes(options.source)) throw new ImportError(`source must be one of ${IMPORT_SOURCES.join(', ')}`);
+    const fileName = typeof options.file_name === 'string' && options.file_name.trim() ? options.file_name.trim().slice(0, 255) : null;
+    return { source: options.source, fileName };
+};
+
+const IMPORT_COLUMNS = `
+    id, source, file_name, report, status, rows_total, rows_imported, rows_skipped, errors, error,
+    to_char(date_from, 'YYYY-MM-DD') as date_from, to_char(date_to, 'YYYY-MM-DD') as date_to,
+    created_at, completed_at
+`;
+
+const listImports = async (query, siteId) => {
+    const result = await query(`SELECT ${IMPORT_COLUMNS} FROM imports WHERE site_id = $1 ORDER BY created_at DESC`, [siteId]);
+    return result.rows;
+};
+
+/**
+ * Record an import of a file read by readImportFile, as processing. Throws
+ * ImportError when the site already has this report for any of its days,
+ * which would count them twice.
+ */
+const createImport = async (query, { siteId, userId, source, fileName, file }) => {
+    const overlap = await query(`
+        SELECT to_char(date_from, 'YYYY-MM-DD') as date_from, to_char(date_to, 'YYYY-MM-DD') as date_to FROM imports
+        WHERE site_id = $1 AND report = $2 AND status <> 'failed' AND date_from <= $4 AND date_to >= $3
+        LIMIT 1
+    `, [siteId, file.report, file.date_from, file.date_to]);
+    if (overlap.rows.length) {
+        const { date_from, date_to } = overlap.rows[0];
+        throw new ImportError(`This site already has imported ${file.report} data for ${date_from} to ${date_to}; delete that import first`);
+    }
+
+    const result = await query(`
+        INSERT INTO imports (id, site_id, source, file_name, report, status, rows_total, rows_skipped, errors, date_from, date_to, created_by)
+        VALUES ($1, $2, $3, $4, $5, 'processing', $6, $7, $8, $9, $10, $11)
+        RETURNING ${IMPORT_COLUMNS}
+    `, [uuidv4(), siteId, source, fileName, file.report, file.rows.length, file.rows_skipped, JSON.stringify(file.errors), file.date_from, file.date_to, userId]);
+    return result.rows[0];
+};
+
+/**
+ * Insert an import's rows in batches, recording progress in rows_imported,
+ * then mark it completed. On failure its rows are removed and it's marked
+ * failed with the reason. Never throws.
+ */
+const runImport = async (query, importRow, siteId, rows) => {
+    const { table, keys, metrics } = IMPORT_REPORTS[importRow.report];
+    const columns = ['import_id', 'site_id', 'date', ...keys, ...metrics];
+
+    try {
+        for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+            const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+            const params = [];
+            const values = batch.map(row => {
+                params.push(importRow.id, siteId, ...columns.slice(2).map(column => row[column]));
+                return `(${columns.map((_, i) => `$${params.length - columns.length + i + 1}`).join(', ')})`;
+            });
+            await query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+            await query('UPDATE imports SET rows_imported = $2 WHERE id = $1', [importRow.id, start + batch.length]);
+        }
+        await query("UPDATE imports SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1", [importRow.id]);
+    } catch (err) {
+        console.error(`Import ${importRow.id} failed:`, err);
+        try {
+            await query(`DELETE FROM ${table} WHERE import_id = $1`, [importRow.id]);
+            await query(`
+                UPDATE imports SET status = 'failed', rows_imported = 0, error = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [importRow.id, 'The rows could not be saved; try again']);
+        } catch (cleanupErr) {
+            console.error(`Error marking import ${importRow.id} failed:`, cleanupErr);
+        }
+    }
+};
+
+// Imports still processing at startup were cut off by a restart
+const failInterruptedImports = (query) => query(`
+    UPDATE imports SET status = 'failed', error = 'Interrupted by a server restart; delete it and import the file again',
+        completed_at = CURRENT_TIMESTAMP
+    WHERE status = 'processing'
+`);
+
+// YYYY-MM-DD of an instant in the range's zone
+const localDate = (date, tz) => date.toLocaleDateString('en-CA', { timeZone: tz });
+
+/**
+ * WHERE conditions selecting a site's imported rows for `range`: completed
+ * imports, days in the range (in its zone), and only days before the site's
+ * first native event. Expects the site id bound as $1.
+ */
+const buildImportedRangeSql = (range, params) => {
+    params.push(localDate(range.from, range.tz), localDate(new Date(range.to.getTime() - 1), range.tz), range.tz);
+    const n = params.length;
+    return `
+        AND import_id IN (SELECT id FROM imports WHERE site_id = $1 AND status = 'completed')
+        AND date >= $${n - 2} AND date <= $${n - 1}
+        AND date < COALESCE((SELECT ((MIN(timestamp) AT TIME ZONE 'UTC') AT TIME ZONE $${n})::date FROM events WHERE site_id = $1), 'infinity')
+    `;
+};
+
+module.exports = {
+    IMPORT_SOURCES,
+    ImportError,
+    parseCsv,
+    readImportFile,
+    parseImportOptions,
+    listImports,
+    createImport,
+    runImport,
+    failInterruptedImports,
+    buildImportedRangeSql
+};
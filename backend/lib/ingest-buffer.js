@@ -0,0 +1,88 @@
+/**
+ * TrackFlow Analytics - Ingestion Buffer
+ *
+ * /collect validates events and hands their rows to this in-process buffer
+ * instead of writing to Postgres on the request path. The buffer writes them
+ * in multi-row batches when `batchSize` rows are waiting or every
+ * `flushIntervalMs`, with at most one write in flight, so a traffic spike
+ * uses one pool connection rather than one per hit.
+ *
+ * push() refuses rows once `maxSize` are waiting; /collect answers 429 and
+ * the tracker retries later. drain() writes everything left before shutdown.
+ */
+
+const createIngestBuffer = ({ write, batchSize = 500, flushIntervalMs = 1000, maxSize = 10000 }) => {
+    let rows = [];
+    let writing = null;
+    let closed = false;
+
+    const writeBatch = async () => {
+        const batch = rows.slice(0, batchSize);
+        try {
+            await write(batch);
+            rows = rows.slice(batch.length);
+        } catch (err) {
+            // Keep the rows and try again on the next tick
+            console.error(`Ingestion: failed to write ${batch.length} events, will retry`, err);
+            throw err;
+        }
+    };
+
+    // Write one batch unless a write is already running
+    const flush = () => {
+        if (writing || rows.length === 0) return writing || Promise.resolve();
+        writing = writeBatch()
+            .catch(() => {})
+            .finally(() => {
+                writing = null;
+                if (rows.length >= batchSize) flush();
+            });
+        return writing;
+    };
+
+    const timer = setInterval(flush, flushIntervalMs);
+    timer.unref();
+
+    /**
+     * Queue rows for writing. Returns false (nothing queued) when the batch
+     * would not fit, or after drain() has started.
+     */
+    const push = (newRows) => {
+        if (closed || rows.length + newRows.length > maxSize) return false;
+        rows.push(...newRows);
+        if (rows.length >= batchSize) flush();
+        return true;
+    };
+
+    /**
+     * Stop accepting rows and write everything still buffered. Gives up after
+     * `maxAttempts` consecutive failed writes so shutdown cannot hang forever.
+     */
+    const drain = async (maxAttempts = 3) => {
+        closed = true;
+        clearInterval(timer);
+        if (writing) await writing;
+
+        let failures = 0;
+        while (rows.length && failures < maxAttempts) {
+            try {
+                await writeBatch();
+                failures = 0;
+            } catch (err) {
+                failures++;
+            }
+        }
+        if (rows.length) console.error(`Ingestion: dropped ${rows.length} events during shutdown`);
+    };
+
+    return {
+        push,
+        flush,
+        drain,
+        get size() { return rows.length; }
+    };
+};
+
+module.exports = {
+    createIngestBuffer
+};
@@ -0,0 +1,102 @@
+/**
+ * TrackFlow Analytics - Lemon Squeezy Integration
+ *
+ * Webhooks arrive at /api/webhooks/lemonsqueezy/:siteId, signed with the
+ * signing secret chosen when the webhook was created in Lemon Squeezy
+ * (X-Signature: hex HMAC-SHA256 of the raw body). Handled events:
+ *
+ *   order_created                  records the order
+ *   order_refunded                 sets the order's refunded amount
+ *   subscription_payment_success   records renewal invoices (the first
+ *                                  payment is already its order)
+ *   subscription_payment_refunded  sets the invoice's refunded amount
+ *
+ * The visitor comes from checkout custom data
+ * (checkout[custom][visitor_id]), which Lemon Squeezy repeats in meta on
+ * every order and subscription event. Lemon Squeezy sends no event IDs, but
+ * orders and invoices are keyed by their IDs and refunds carry the running
+ * total, so redeliveries change nothing. Test-mode events are acknowledged
+ * and not recorded.
+ */
+
+const crypto = require('crypto');
+const { WebhookError, toMajorUnits, upsertPayment, recordRefund } = require('../payments');
+
+const PROVIDER = 'lemonsqueezy';
+const LEMONSQUEEZY_EVENTS = ['order_created', 'order_refunded', 'subscription_payment_success', 'subscription_payment_refunded'];
+
+class LemonSqueezyWebhookError extends WebhookError {}
+
+// Lemon Squeezy accepts signing secrets of 6 to 40 characters
+const isValidLemonSqueezySecret = (secret) => typeof secret === 'string' && secret.length >= 6 && secret.length <= 40;
+
+/**
+ * Verify X-Signature against the raw request body and parse the payload.
+ * Throws LemonSqueezyWebhookError.
+ */
+const constructLemonSqueezyEvent = (rawBody, headers, secret) => {
+    const signature = headers['x-signature'];
+    if (!signature) throw new LemonSqueezyWebhookError('Missing X-Signature header');
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const presented = Buffer.from(String(signature), 'hex');
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        throw new LemonSqueezyWebhookError('Signature does not match the payload');
+    }
+
+    try {
+        const event = JSON.parse(rawBody.toString('utf8'));
+        if (!event.meta || !event.data) throw new Error('missing meta or data');
+        return event;
+    } catch (err) {
+        throw new LemonSqueezyWebhookError(`Invalid payload: ${err.message}`);
+    }
+};
+
+// Orders and subscription invoices have separate ID sequences
+const externalId = (data) => (data.type === 'subscription-invoices' ? `invoice-${data.id}` : String(data.id));
+
+/**
+ * Apply a verified event for `site`. Returns the webhook response body:
+ * { received: true } plus payment_id (and duplicate) or ignored
+ * (test_mode, unhandled_event, nothing_to_record, unknown_payment).
+ */
+const handleLemonSqueezyEvent = async (query, site, event) => {
+    const eventName = event.meta.event_name;
+    if (event.meta.test_mode) return { received: true, ignored: 'test_mode' };
+    if (!LEMONSQUEEZY_EVENTS.includes(eventName)) return { received: true, ignored: 'unhandled_event' };
+
+    const attributes = event.data.attributes || {};
+    const currency = String(attributes.currency || 'USD').toUpperCase();
+
+    if (eventName === 'order_refunded' || eventName === 'subscription_payment_refunded') {
+        const refunded = toMajorUnits(attributes.refunded_amount || 0, currency);
+        return { received: true, ...(await recordRefund(query, site.id, PROVIDER, [externalId(event.data)], refunded)) };
+    }
+
+    if (attributes.status !== 'paid' || !attributes.total) return { received: true, ignored: 'nothing_to_record' };
+    if (eventName === 'subscription_payment_success' && attributes.billing_reason === 'initial') {
+        return { received: true, ignored: 'nothing_to_record' };
+    }
+
+    const item = attributes.first_order_item;
+    const customData = event.meta.custom_data || {};
+    const result = await upsertPayment(query, site.id, PROVIDER, {
+        external_id: externalId(event.data),
+        visitor_id: typeof customData.visitor_id === 'string' ? customData.visitor_id : null,
+        amount: toMajorUnits(attributes.total, currency),
+        currency,
+        customer_email: attributes.user_email || null,
+        product_name: (item && item.product_name) || null,
+        created_at: attributes.created_at ? new Date(attributes.created_at).toISOString() : null
+    });
+    return { received: true, ...result };
+};
+
+module.exports = {
+    LEMONSQUEEZY_EVENTS,
+    LemonSqueezyWebhookError,
+    isValidLemonSqueezySecret,
+    constructLemonSqueezyEvent,
+    handleLemonSqueezyEvent
+};
@@ -0,0 +1,112 @@
+/**
+ * TrackFlow Analytics - Paddle Integration
+ *
+ * Paddle Billing notifications arrive at /api/webhooks/paddle/:siteId, signed
+ * with the notification destination's secret key (Paddle-Signature:
+ * ts=...;h1=..., an HMAC-SHA256 of "ts:body"). Handled events:
+ *
+ *   transaction.completed  records the transaction, attributed to the
+ *                          visitor in custom_data.visitor_id
+ *   adjustment.created,    adds approved refunds and chargebacks to the
+ *   adjustment.updated     transaction's refunded amount
+ *
+ * Transactions are keyed by their IDs, so redeliveries change nothing. Each
+ * adjustment only reports its own amount, so adjustment IDs are claimed in
+ * webhook_events and counted once. Sandbox and live accounts have separate
+ * destinations and secrets; use one or the other per site.
+ */
+
+const crypto = require('crypto');
+const { WebhookError, toMajorUnits, upsertPayment, recordRefund, applyWebhookEventOnce } = require('../payments');
+
+const PROVIDER = 'paddle';
+const PADDLE_EVENTS = ['transaction.completed', 'adjustment.created', 'adjustment.updated'];
+const REFUND_ACTIONS = ['refund', 'chargeback'];
+
+// How old a signature timestamp may be, like Stripe's default tolerance
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+class PaddleWebhookError extends WebhookError {}
+
+const isValidPaddleSecret = (secret) => typeof secret === 'string' && /^\S{8,256}$/.test(secret);
+
+/**
+ * Verify the Paddle-Signature header against the raw request body and parse
+ * the notification. Throws PaddleWebhookError.
+ */
+const constructPaddleEvent = (rawBody, headers, secret, now = Date.now()) => {
+    const header = headers['paddle-signature'];
+    if (!header) throw new PaddleWebhookError('Missing Paddle-Signature header');
+
+    const parts = String(header).split(';').map(part => part.split('='));
+    const timestamp = (parts.find(([key]) => key === 'ts') || [])[1];
+    const signatures = parts.filter(([key]) => key === 'h1').map(([, value]) => Buffer.from(value || '', 'hex'));
+    if (!timestamp || signatures.length === 0) throw new PaddleWebhookError('Malformed Paddle-Signature header');
+    if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) throw new PaddleWebhookError('Timestamp outside the tolerance zone');
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}:`).update(rawBody).digest();
+    if (!signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected))) {
+        throw new PaddleWebhookError('Signature does not match the payload');
+    }
+
+    try {
+        const event = JSON.parse(rawBody.toString('utf8'));
+        if (!event.event_id || !event.event_type || !event.data) throw new Error('missing event_id, event_type or data');
+        return event;
+    } catch (err) {
+        throw new PaddleWebhookError(`Invalid payload: ${err.message}`);
+    }
+};
+
+const recordTransaction = async (query, site, transaction) => {
+    const totals = (transaction.details && transaction.details.totals) || {};
+    const currency = String(transaction.currency_code || totals.currency_code || 'USD').toUpperCase();
+    const total = Number(totals.grand_total || totals.total || 0);
+    if (!total) return { ignored: 'nothing_to_record' };
+
+    const item = transaction.items && transaction.items[0];
+    const product = item && ((item.product && item.product.name) || (item.price && (item.price.name || item.price.description)));
+    const customData = transaction.custom_data || {};
+    return upsertPayment(query, site.id, PROVIDER, {
+        external_id: transaction.id,
+        visitor_id: typeof customData.visitor_id === 'string' ? customData.visitor_id : null,
+        amount: toMajorUnits(total, currency),
+        currency,
+        product_name: product || null,
+        created_at: transaction.billed_at || transaction.created_at ? new Date(transaction.billed_at || transaction.created_at).toISOString() : null
+    });
+};
+
+const recordAdjustment = async (query, site, adjustment) => {
+    if (!REFUND_ACTIONS.includes(adjustment.action) || adjustment.status !== 'approved') return { ignored: 'nothing_to_record' };
+
+    const totals = adjustment.totals || {};
+    const currency = String(adjustment.currency_code || totals.currency_code || 'USD').toUpperCase();
+    const amount = toMajorUnits(Number(totals.total || 0), currency);
+    // Created already approved, then updated: count the adjustment once
+    return applyWebhookEventOnce(query, site.id, PROVIDER, { id: adjustment.id, type: 'adjustment' }, () => (
+        recordRefund(query, site.id, PROVIDER, [adjustment.transaction_id].filter(Boolean), amount, { increment: true })
+    ));
+};
+
+/**
+ * Apply a verified notification for `site`. Returns the webhook response
+ * body: { received: true } plus payment_id, duplicate or ignored
+ * (unhandled_event, nothing_to_record, unknown_payment).
+ */
+const handlePaddleEvent = async (query, site, event) => {
+    if (!PADDLE_EVENTS.includes(event.event_type)) return { received: true, ignored: 'unhandled_event' };
+
+    const result = event.event_type === 'transaction.completed'
+        ? await recordTransaction(query, site, event.data)
+        : await recordAdjustment(query, site, event.data);
+    return { received: true, ...result };
+};
+
+module.exports = {
+    PADDLE_EVENTS,
+    PaddleWebhookError,
+    isValidPaddleSecret,
+    constructPaddleEvent,
+    handlePaddleEvent
+};
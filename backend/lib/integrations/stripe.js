@@ -0,0 +1,161 @@
+/**
+ * TrackFlow Analytics - Stripe Integration
+ *
+ * Every site has its own webhook endpoint, /api/webhooks/stripe/:siteId,
+ * verified with the signing secret (whsec_...) stored on the site. Handled
+ * events:
+ *
+ *   checkout.session.completed  records the payment, attributed to the visitor
+ *                               in client_reference_id or metadata.visitor_id
+ *   invoice.payment_succeeded   records subscription payments; the first
+ *                               invoice of a Checkout subscription merges with
+ *                               its session instead of counting twice
+ *   charge.refunded             sets the refunded amount on the matching
+ *                               payment, which reports subtract from revenue
+ *
+ * Stripe delivers events at least once, so each event ID is claimed in
+ * webhook_events before it is applied and repeats are acknowledged as
+ * duplicates. Test-mode events (livemode: false) are only applied while the
+ * site has Stripe test mode on; signStripeFixture() builds signed test events
+ * from fixtures/stripe/ for exercising the whole path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { WebhookError, toMajorUnits, upsertPayment, recordRefund, applyWebhookEventOnce } = require('../payments');
+
+const PROVIDER = 'stripe';
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'stripe');
+const STRIPE_EVENTS = ['checkout.session.completed', 'invoice.payment_succeeded', 'charge.refunded'];
+
+class StripeWebhookError extends WebhookError {}
+
+const isValidWebhookSecret = (secret) => typeof secret === 'string' && /^whsec_[A-Za-z0-9+/=]{8,}$/.test(secret);
+
+/**
+ * Verify the Stripe-Signature header against the raw request body and parse
+ * the event. Throws StripeWebhookError.
+ */
+const constructStripeEvent = (rawBody, signature, secret) => {
+    if (!signature) throw new StripeWebhookError('Missing Stripe-Signature header');
+    try {
+        return Stripe.webhooks.constructEvent(rawBody, signature, secret);
+    } catch (err) {
+        throw new StripeWebhookError(err.message);
+    }
+};
+
+const metadataVisitor = (...sources) => {
+    const found = sources.find(m => m && m.visitor_id);
+    return found ? found.visitor_id : null;
+};
+
+/**
+ * What an event means for the payments table: { kind: 'payment', ... },
+ * { kind: 'refund', ... } or null when there is nothing to record.
+ */
+const paymentFromEvent = (event) => {
+    const object = event.data && event.data.object;
+    if (!object) return null;
+
+    switch (event.type) {
+        case 'checkout.session.completed': {
+            if (object.payment_status === 'unpaid' || !object.amount_total) return null;
+            const currency = (object.currency || 'usd').toUpperCase();
+            return {
+                kind: 'payment',
+                // Subscriptions key on the first invoice so invoice.payment_succeeded merges into it
+                external_id: (object.mode === 'subscription' && object.invoice) || object.payment_intent || object.id,
+                visitor_id: object.client_reference_id || metadataVisitor(object.metadata),
+                amount: toMajorUnits(object.amount_total, currency),
+                currency,
+                customer_email: (object.customer_details && object.customer_details.email) || object.customer_email || null,
+                product_name: (object.metadata && object.metadata.product_name) || null
+            };
+        }
+        case 'invoice.payment_succeeded': {
+            if (!object.amount_paid) return null;
+            const currency = (object.currency || 'usd').toUpperCase();
+            const parent = object.parent && object.parent.subscription_details;
+            const line = object.lines && object.lines.data && object.lines.data[0];
+            return {
+                kind: 'payment',
+                external_id: object.id,
+                visitor_id: metadataVisitor(object.metadata, object.subscription_details && object.subscription_details.metadata, parent && parent.metadata),
+                amount: toMajorUnits(object.amount_paid, currency),
+                currency,
+                customer_email: object.customer_email || null,
+                product_name: (line && line.description) || null
+            };
+        }
+        case 'charge.refunded': {
+            const currency = (object.currency || 'usd').toUpperCase();
+            return {
+                kind: 'refund',
+                external_ids: [object.payment_intent, object.invoice].filter(Boolean),
+                refunded_amount: toMajorUnits(object.amount_refunded || 0, currency)
+            };
+        }
+        default:
+            return null;
+    }
+};
+
+const applyPayment = async (query, site, event, payment) => {
+    if (payment.kind === 'refund') {
+        return recordRefund(query, site.id, PROVIDER, payment.external_ids, payment.refunded_amount);
+    }
+
+    const { payment_id: paymentId } = await upsertPayment(query, site.id, PROVIDER, {
+        ...payment,
+        livemode: event.livemode !== false,
+        created_at: new Date((event.created || Date.now() / 1000) * 1000).toISOString()
+    });
+    return { payment_id: paymentId };
+};
+
+/**
+ * Apply a verified event for `site` ({ id, stripe_test_mode }). Returns the
+ * webhook response body: { received: true } plus payment_id, duplicate or
+ * ignored (test_mode_off, unhandled_event, nothing_to_record, unknown_payment).
+ */
+const handleStripeEvent = async (query, site, event) => {
+    if (event.livemode === false && !site.stripe_test_mode) return { received: true, ignored: 'test_mode_off' };
+    if (!STRIPE_EVENTS.includes(event.type)) return { received: true, ignored: 'unhandled_event' };
+
+    const payment = paymentFromEvent(event);
+    if (!payment) return { received: true, ignored: 'nothing_to_record' };
+
+    return { received: true, ...(await applyWebhookEventOnce(query, site.id, PROVIDER, event, () => applyPayment(query, site, event, payment))) };
+};
+
+/**
+ * A fixtures/stripe/<type>.json event with a fresh event ID (or `eventId`),
+ * attributed to `visitorId`, serialized and signed with `secret`.
+ * Returns { event, payload, signature }.
+ */
+const signStripeFixture = (type, secret, { visitorId = null, eventId = null } = {}) => {
+    if (!STRIPE_EVENTS.includes(type)) throw new StripeWebhookError(`No fixture for "${type}"`);
+
+    const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${type}.json`), 'utf8'));
+    event.id = eventId || `evt_test_${crypto.randomBytes(12).toString('hex')}`;
+    event.created = Math.floor(Date.now() / 1000);
+
+    const object = event.data.object;
+    if (type === 'checkout.session.completed') object.client_reference_id = visitorId;
+    if (type === 'invoice.payment_succeeded') object.subscription_details.metadata.visitor_id = visitorId;
+
+    const payload = JSON.stringify(event);
+    return { event, payload, signature: Stripe.webhooks.generateTestHeaderString({ payload, secret }) };
+};
+
+module.exports = {
+    STRIPE_EVENTS,
+    StripeWebhookError,
+    isValidWebhookSecret,
+    constructStripeEvent,
+    handleStripeEvent,
+    signStripeFixture
+};
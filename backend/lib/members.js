@@ -0,0 +1,236 @@
+/**
+ * TrackFlow Analytics - Members & Roles
+ *
+ * Who may do what on a site. Users get a role on a site directly
+ * (site_members) or through a team that the site belongs to (team_members);
+ * the higher of the two counts.
+ *
+ *   viewer  reads reports, goals, funnels and the member list
+ *   admin   also changes settings, integrations, goals and funnels, and
+ *           invites or removes viewers and admins
+ *   owner   also deletes the site, moves it between teams and manages owners
+ *
+ * Teams use the same roles for their own settings and members. Every site and
+ * team keeps at least one owner. People are added by invitation: an emailed
+ * link with a single-use token (only its hash is stored) that the invitee
+ * accepts while logged in with the invited address.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ROLES = ['viewer', 'admin', 'owner'];
+const INVITATION_TTL_DAYS = 7;
+const MAX_EMAIL_LENGTH = 320;
+
+// Membership table and key column per scope
+const MEMBER_SCOPES = {
+    site: { table: 'site_members', column: 'site_id', label: 'site' },
+    team: { table: 'team_members', column: 'team_id', label: 'team' }
+};
+
+class MemberError extends Error {}
+
+const ROLES_SQL = `ARRAY[${ROLES.map(role => `'${role}'`).join(', ')}]`;
+
+const isRole = (role) => ROLES.includes(role);
+
+const roleAtLeast = (role, minimum) => isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+// Owners may grant, change and remove any role; admins only viewers and admins
+const canManageRole = (actorRole, role) => roleAtLeast(actorRole, 'owner') || (actorRole === 'admin' && role !== 'owner');
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * (site_id, role) of every site `userParam` can open, with the higher of the
+ * direct and team role.
+ */
+const siteRolesSql = (userParam) => `
+    SELECT site_id, (${ROLES_SQL})[MAX(array_position(${ROLES_SQL}, role))] as role
+    FROM (
+        SELECT site_id, role FROM site_members WHERE user_id = ${userParam}
+        UNION ALL
+        SELECT s.id, tm.role FROM sites s JOIN team_members tm ON tm.team_id = s.team_id WHERE tm.user_id = ${userParam}
+    ) roles
+    GROUP BY site_id
+`;
+
+// The user's role on a site or team, or null
+const fetchRole = async (query, scope, id, userId) => {
+    const result = scope === 'site'
+        ? await query(`SELECT role FROM (${siteRolesSql('$2')}) r WHERE site_id = $1`, [id, userId])
+        : await query('SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2', [id, userId]);
+    return result.rows.length ? result.rows[0].role : null;
+};
+
+/**
+ * Validate an invitation body: email (required), role (default viewer).
+ * Throws MemberError.
+ */
+const parseInvitationInput = (body = {}) => {
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > MAX_EMAIL_LENGTH) throw new MemberError('A valid email is required');
+
+    const role = body.role === undefined ? 'viewer' : body.role;
+    if (!isRole(role)) throw new MemberError(`role must be one of ${ROLES.join(', ')}`);
+    return { email, role };
+};
+
+/**
+ * Members of a site or team: [{ user_id, email, role, via, created_at }].
+ * A site also lists its team's members (via: 'team'); those are managed on
+ * the team.
+ */
+const listMembers = async (query, scope, id) => {
+    const { table, column } = MEMBER_SCOPES[scope];
+    const teamMembersSql = scope === 'site' ? `
+        UNION ALL
+        SELECT tm.user_id, u.email, tm.role, 'team' as via, tm.created_at
+        FROM sites s JOIN team_members tm ON tm.team_id = s.team_id JOIN users u ON u.id = tm.user_id
+        WHERE s.id = $1
+    ` : '';
+    const result = await query(`
+        SELECT m.user_id, u.email, m.role, '${scope}' as via, m.created_at
+        FROM ${table} m JOIN users u ON u.id = m.user_id
+        WHERE m.${column} = $1
+        ${teamMembersSql}
+        ORDER BY created_at
+    `, [id]);
+    return result.rows;
+};
+
+const findMember = async (query, scope, id, userId) => {
+    const { table, column } = MEMBER_SCOPES[scope];
+    const result = await query(`SELECT user_id, role FROM ${table} WHERE ${column} = $1 AND user_id = $2`, [id, userId]);
+    return result.rows[0] || null;
+};
+
+// Throws MemberError when `userId` is the only owner
+const assertOwnerRemains = async (query, scope, id, userId) => {
+    const { table, column, label } = MEMBER_SCOPES[scope];
+    const result = await query(`SELECT 1 FROM ${table} WHERE ${column} = $1 AND role = 'owner' AND user_id != $2 LIMIT 1`, [id, userId]);
+    if (result.rows.length === 0) throw new MemberError(`The ${label} needs at least one other owner first`);
+};
+
+// Change a member's role (found with findMember). Throws MemberError.
+const updateMemberRole = async (query, scope, id, member, role) => {
+    const { table, column } = MEMBER_SCOPES[scope];
+    if (member.role === 'owner' && role !== 'owner') await assertOwnerRemains(query, scope, id, member.user_id);
+    await query(`UPDATE ${table} SET role = $3 WHERE ${column} = $1 AND user_id = $2`, [id, member.user_id, role]);
+    return { user_id: member.user_id, role };
+};
+
+// Remove a member (found with findMember). Throws MemberError.
+const removeMember = async (query, scope, id, member) => {
+    const { table, column } = MEMBER_SCOPES[scope];
+    if (member.role === 'owner') await assertOwnerRemains(query, scope, id, member.user_id);
+    await query(`DELETE FROM ${table} WHERE ${column} = $1 AND user_id = $2`, [id, member.user_id]);
+};
+
+// Pending invitations of a site or team
+const listInvitations = async (query, scope, id) => {
+    const result = await query(`
+        SELECT i.id, i.email, i.role, u.email as invited_by, i.created_at, i.expires_at
+        FROM invitations i LEFT JOIN users u ON u.id = i.invited_by
+        WHERE i.${MEMBER_SCOPES[scope].column} = $1 AND i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+        ORDER BY i.created_at DESC
+    `, [id]);
+    return result.rows;
+};
+
+/**
+ * Invite `email` to a site or team, replacing a pending invitation to the
+ * same address. Returns { invitation, token }; the token only exists here.
+ * Throws MemberError when the address already belongs to a member.
+ */
+const createInvitation = async (query, scope, id, { email, role }, invitedBy) => {
+    const { table, column, label } = MEMBER_SCOPES[scope];
+    const existing = await query(`
+        SELECT 1 FROM ${table} m JOIN users u ON u.id = m.user_id
+        WHERE m.${column} = $1 AND LOWER(u.email) = $2
+    `, [id, email]);
+    if (existing.rows.length) throw new MemberError(`${email} is already a member of this ${label}`);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await query(`DELETE FROM invitations WHERE ${column} = $1 AND LOWER(email) = $2 AND accepted_at IS NULL`, [id, email]);
+    const result = await query(`
+        INSERT INTO invitations (id, ${column}, email, role, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + INTERVAL '${INVITATION_TTL_DAYS} days')
+        RETURNING id, email, role, created_at, expires_at
+    `, [uuidv4(), id, email, role, hashInvitationToken(token), invitedBy]);
+    return { invitation: result.rows[0], token };
+};
+
+/**
+ * Pending, unexpired invitation for `token` with the name of what it is for,
+ * or null.
+ */
+const findInvitation = async (query, token) => {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await query(`
+        SELECT i.id, i.site_id, i.team_id, i.email, i.role, i.expires_at,
+            COALESCE(s.name, t.name) as name, u.email as invited_by
+        FROM invitations i
+        LEFT JOIN sites s ON s.id = i.site_id
+        LEFT JOIN teams t ON t.id = i.team_id
+        LEFT JOIN users u ON u.id = i.invited_by
+        WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+    `, [hashInvitationToken(token)]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Add the user to what `invitation` (from findInvitation) is for; an existing
+ * member keeps a higher role. Returns { scope, id, role }.
+ */
+const acceptInvitation = async (query, invitation, userId) => {
+    const scope = invitation.site_id ? 'site' : 'team';
+    const { table, column } = MEMBER_SCOPES[scope];
+    const id = invitation.site_id || invitation.team_id;
+
+    const claimed = await query('UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1 AND accepted_at IS NULL RETURNING id', [invitation.id]);
+    if (claimed.rows.length === 0) throw new MemberError('This invitation has already been used');
+
+    const result = await query(`
+        INSERT INTO ${table} (${column}, user_id, role) VALUES ($1, $2, $3)
+        ON CONFLICT (${column}, user_id) DO UPDATE SET role = CASE
+            WHEN array_position(${ROLES_SQL}, EXCLUDED.role) > array_position(${ROLES_SQL}, ${table}.role) THEN EXCLUDED.role
+            ELSE ${table}.role
+        END
+        RETURNING role
+    `, [id, userId, invitation.role]);
+    return { scope, id, role: result.rows[0].role };
+};
+
+const invitationEmail = ({ inviter, name, scope, role, url }) => ({
+    subject: `${inviter} invited you to ${name} on TrackFlow`,
+    text: [
+        `${inviter} invited you to the ${MEMBER_SCOPES[scope].label} "${name}" on TrackFlow Analytics as ${role === 'admin' ? 'an' : 'a'} ${role}.`,
+        '',
+        `Accept the invitation: ${url}`,
+        '',
+        `The link expires in ${INVITATION_TTL_DAYS} days. Log in or sign up with this email address to accept it.`
+    ].join('\n')
+});
+
+module.exports = {
+    ROLES,
+    MEMBER_SCOPES,
+    MemberError,
+    isRole,
+    roleAtLeast,
+    canManageRole,
+    siteRolesSql,
+    fetchRole,
+    parseInvitationInput,
+    listMembers,
+    findMember,
+    updateMemberRole,
+    removeMember,
+    listInvitations,
+    createInvitation,
+    findInvitation,
+    acceptInvitation,
+    invitationEmail
+};
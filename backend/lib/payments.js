@@ -0,0 +1,260 @@
+/**
+ * TrackFlow Analytics - Payments
+ *
+ * Everything that writes to the payments table goes through here: the
+ * server-to-server API (POST /api/sites/:siteId/payments, authenticated with
+ * the site's server key) and the webhook adapters in integrations/. A payment
+ * is keyed by (provider, external_id), so retried requests and redelivered
+ * webhooks update the same row instead of counting twice.
+ *
+ * Revenue reports read buildRevenueCte(), which adds the tracker's
+ * TrackFlow.revenue() events to the recorded payments. A revenue event whose
+ * `order_id` property matches a payment's external ID is the same sale seen
+ * from the browser: it only lends the payment its visitor when the server
+ * didn't know it, and is not counted again.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { buildRangeSql } = require('./date-range');
+const { conversionRateSql } = require('./currency');
+
+const API_PROVIDER = 'api';
+const SERVER_KEY_PREFIX = 'tfsk_';
+
+// Currencies whose amounts providers don't send in cents
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+class PaymentError extends Error {}
+
+// Base class for signature and payload problems in integrations/*, answered with a 400
+class WebhookError extends Error {}
+
+const toMajorUnits = (amount, currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency) ? Number(amount) : Number(amount) / 100);
+
+const generateServerKey = () => `${SERVER_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+const hashServerKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Constant-time check of a presented key against the stored hash
+const serverKeyMatches = (key, hash) => {
+    if (typeof key !== 'string' || !key.startsWith(SERVER_KEY_PREFIX) || typeof hash !== 'string') return false;
+    const presented = Buffer.from(hashServerKey(key), 'hex');
+    const stored = Buffer.from(hash, 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+const optionalString = (body, name, maxLength) => {
+    const value = body[name];
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.length > maxLength) throw new PaymentError(`${name} must be a string of at most ${maxLength} characters`);
+    return value;
+};
+
+const optionalAmount = (body, name) => {
+    const value = body[name];
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) throw new PaymentError(`${name} must be a non-negative number`);
+    return value;
+};
+
+/**
+ * Validate a POST /payments body:
+ *   order_id (required)   your order or transaction ID, used for dedupe
+ *   amount (required), currency (default USD), refunded_amount
+ *   visitor_id, session_id, product_name, customer_email, created_at (ISO 8601)
+ * Amounts are in major units (49.99, not 4999). Throws PaymentError.
+ */
+const parsePaymentInput = (body = {}) => {
+    const externalId = optionalString(body, 'order_id', 256);
+    if (!externalId) throw new PaymentError('order_id is required');
+
+    const amount = optionalAmount(body, 'amount');
+    if (amount === null) throw new PaymentError('amount is required');
+
+    const currency = optionalString(body, 'currency', 3) || 'USD';
+    if (!/^[A-Za-z]{3}$/.test(currency)) throw new PaymentError('currency must be a three-letter ISO 4217 code');
+
+    const refundedAmount = optionalAmount(body, 'refunded_amount');
+    if (refundedAmount !== null && refundedAmount > amount) throw new PaymentError('refunded_amount cannot exceed amount');
+
+    const createdAt = optionalString(body, 'created_at', 64);
+    if (createdAt !== null && isNaN(new Date(createdAt).getTime())) throw new PaymentError('created_at must be an ISO 8601 date');
+
+    return {
+        external_id: externalId,
+        amount,
+        currency: currency.toUpperCase(),
+        refunded_amount: refundedAmount,
+        visitor_id: optionalString(body, 'visitor_id', 128),
+        session_id: optionalString(body, 'session_id', 128),
+        product_name: optionalString(body, 'product_name', 512),
+        customer_email: optionalString(body, 'customer_email', 320),
+        created_at: createdAt === null ? null : new Date(createdAt).toISOString()
+    };
+};
+
+/**
+ * Insert a payment or, when (provider, external_id) is already recorded, fill
+ * in what the earlier record was missing. `refunded_amount` (when not null)
+ * replaces the stored one. Returns { payment_id, duplicate }.
+ */
+const upsertPayment = async (query, siteId, provider, payment) => {
+    const result = await query(`
+        INSERT INTO payments (id, site_id, visitor_id, session_id, amount, currency, customer_email, product_name,
+            provider, external_id, refunded_amount, livemode, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, 0), $12, COALESCE($13::timestamp, CURRENT_TIMESTAMP))
+        ON CONFLICT (site_id, provider, external_id) DO UPDATE SET
+            visitor_id = COALESCE(payments.visitor_id, EXCLUDED.visitor_id),
+            session_id = COALESCE(payments.session_id, EXCLUDED.session_id),
+            customer_email = COALESCE(payments.customer_email, EXCLUDED.customer_email),
+            product_name = COALESCE(payments.product_name, EXCLUDED.product_name),
+            refunded_amount = COALESCE($11, payments.refunded_amount)
+        RETURNING id, (xmax = 0) as inserted
+    `, [
+        uuidv4(), siteId, payment.visitor_id || null, payment.session_id || null, payment.amount, payment.currency,
+        payment.customer_email || null, payment.product_name || null, provider, payment.external_id,
+        payment.refunded_amount === undefined ? null : payment.refunded_amount,
+        payment.livemode !== false, payment.created_at || null
+    ]);
+    return { payment_id: result.rows[0].id, duplicate: !result.rows[0].inserted };
+};
+
+/**
+ * Record a refund against the payment with any of `externalIds`. Providers
+ * that report the running total set it; those that report each refund on its
+ * own pass `increment` (and must dedupe the event first). Returns
+ * { payment_id, refunded } or { ignored: 'unknown_payment' }.
+ */
+const recordRefund = async (query, siteId, provider, externalIds, amount, { increment = false } = {}) => {
+    if (externalIds.length === 0) return { ignored: 'unknown_payment' };
+    const result = await query(`
+        UPDATE payments SET refunded_amount = LEAST(amount, ${increment ? 'refunded_amount + $4' : '$4'})
+        WHERE site_id = $1 AND provider = $2 AND external_id = ANY($3)
+        RETURNING id, refunded_amount
+    `, [siteId, provider, externalIds, amount]);
+    return result.rows.length
+        ? { payment_id: result.rows[0].id, refunded: parseFloat(result.rows[0].refunded_amount) }
+        : { ignored: 'unknown_payment' };
+};
+
+/**
+ * Run `apply` once per provider event ID. The ID is claimed in webhook_events
+ * first and released if `apply` throws, so the provider's retry can apply it.
+ * Returns apply()'s result, or { duplicate: true } for an event seen before.
+ */
+const applyWebhookEventOnce = async (query, siteId, provider, event, apply) => {
+    const claimed = await query(`
+        INSERT INTO webhook_events (site_id, provider, id, type) VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+    `, [siteId, provider, event.id, event.type]);
+    if (claimed.rows.length === 0) return { duplicate: true };
+
+    try {
+        return await apply();
+    } catch (err) {
+        await query('DELETE FROM webhook_events WHERE site_id = $1 AND provider = $2 AND id = $3', [siteId, provider, event.id]).catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * CTE definitions (without the leading WITH) ending in a `revenue` relation:
+ *   id, visitor_id, amount, refunded_amount, currency, provider, created_at,
+ *   rate (converts amounts into `reportingCurrency`; NULL without rates)
+ * for the payments and unmatched tracker revenue events in `range`. Amounts
+ * stay in their original currency. Payments without a visitor take it from
+ * their session or from the matching revenue event. Expects the site id
+ * bound as $1.
+ */
+const buildRevenueCte = (range, params, reportingCurrency) => {
+    const paymentRangeSql = buildRangeSql(range, params, 'p.created_at');
+    const eventRangeSql = buildRangeSql(range, params, 't.timestamp');
+
+    return `
+        tracked_revenue AS (
+            SELECT DISTINCT ON (COALESCE(props->>'order_id', id::text))
+                id, visitor_id, revenue, UPPER(COALESCE(currency, 'USD')) as currency, timestamp, props->>'order_id' as order_id
+            FROM events
+            WHERE site_id = $1 AND event_type = 'revenue' AND revenue IS NOT NULL
+            ORDER BY COALESCE(props->>'order_id', id::text), timestamp
+        ),
+        revenue_rows AS (
+            SELECT p.id, COALESCE(p.visitor_id, sv.visitor_id, t.visitor_id) as visitor_id,
+                p.amount, p.refunded_amount, p.currency, COALESCE(p.provider, 'manual') as provider, p.created_at
+            FROM payments p
+            LEFT JOIN tracked_revenue t ON t.order_id = p.external_id
+            LEFT JOIN LATERAL (
+                SELECT visitor_id FROM events
+                WHERE site_id = $1 AND session_id = p.session_id
+                LIMIT 1
+            ) sv ON p.visitor_id IS NULL
+            WHERE p.site_id = $1 ${paymentRangeSql}
+            UNION ALL
+            SELECT 'event-' || t.id, t.visitor_id, t.revenue, 0, t.currency, 'tracker', t.timestamp
+            FROM tracked_revenue t
+            WHERE (t.order_id IS NULL OR NOT EXISTS (
+                SELECT 1 FROM payments p WHERE p.site_id = $1 AND p.external_id = t.order_id
+            )) ${eventRangeSql}
+        ),
+        revenue AS (
+            SELECT r.*, ${conversionRateSql('r.currency', 'r.created_at', params, reportingCurrency)} as rate
+            FROM revenue_rows r
+        )
+    `;
+};
+
+const roundMoney = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Shape per-currency revenue rows (currency, payments, amount, refunded,
+ * converted_payments, converted_amount, converted_refunded) into
+ *   totals: { revenue, refunded, payments, avg_payment, unconverted_payments }
+ *     in the reporting currency, over the payments that have a rate
+ *   by_currency: [{ currency, revenue, refunded, payments, converted_revenue,
+ *     unconverted_payments }] with the original amounts
+ */
+const formatRevenueSummary = (rows) => {
+    const totals = { revenue: 0, refunded: 0, payments: 0, avg_payment: 0, unconverted_payments: 0 };
+    let convertedAmount = 0;
+
+    const byCurrency = rows.map(r => {
+        const payments = parseInt(r.payments);
+        const converted = parseInt(r.converted_payments);
+        convertedAmount += parseFloat(r.converted_amount || 0);
+        totals.refunded += parseFloat(r.converted_refunded || 0);
+        totals.payments += converted;
+        totals.unconverted_payments += payments - converted;
+        return {
+            currency: r.currency,
+            revenue: roundMoney(r.amount - r.refunded),
+            refunded: roundMoney(r.refunded),
+            payments,
+            converted_revenue: roundMoney((r.converted_amount || 0) - (r.converted_refunded || 0)),
+            unconverted_payments: payments - converted
+        };
+    });
+
+    totals.revenue = roundMoney(convertedAmount - totals.refunded);
+    totals.avg_payment = totals.payments > 0 ? roundMoney(convertedAmount / totals.payments) : 0;
+    totals.refunded = roundMoney(totals.refunded);
+    return { totals, by_currency: byCurrency };
+};
+
+module.exports = {
+    API_PROVIDER,
+    PaymentError,
+    WebhookError,
+    toMajorUnits,
+    generateServerKey,
+    hashServerKey,
+    serverKeyMatches,
+    parsePaymentInput,
+    upsertPayment,
+    recordRefund,
+    applyWebhookEventOnce,
+    buildRevenueCte,
+    formatRevenueSummary
+};
@@ -0,0 +1,65 @@
+/**
+ * TrackFlow Analytics - Rate Limiting
+ *
+ * Fixed-window counters kept in process memory, used by /collect to cap
+ * events per client IP and per site, and to slow down share link password
+ * guessing. Limits apply per server instance.
+ */
+
+const createRateLimiter = ({ limit, windowMs = 60 * 1000 }) => {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    // Forget windows that have ended so idle keys don't accumulate
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs);
+    timer.unref();
+
+    const currentWindow = (key, now) => {
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        return window;
+    };
+
+    /**
+     * Whether `cost` more hits against `key` fit, without counting them.
+     * Returns { allowed, retryAfter } like take().
+     */
+    const check = (key, cost = 1) => {
+        const now = Date.now();
+        const window = currentWindow(key, now);
+        if (window.count + cost > limit) {
+            return { allowed: false, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+        }
+        return { allowed: true, retryAfter: 0 };
+    };
+
+    /**
+     * Count `cost` hits against `key`. Returns { allowed, retryAfter } where
+     * retryAfter is the number of seconds until the window resets. Rejected
+     * hits are not counted.
+     */
+    const take = (key, cost = 1) => {
+        const result = check(key, cost);
+        if (result.allowed) windows.get(key).count += cost;
+        return result;
+    };
+
+    // Give back hits taken for work that was turned away after all
+    const refund = (key, cost = 1) => {
+        const window = windows.get(key);
+        if (window && window.resetAt > Date.now()) window.count = Math.max(0, window.count - cost);
+    };
+
+    return { check, take, refund };
+};
+
+module.exports = {
+    createRateLimiter
+};
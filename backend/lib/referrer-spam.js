@@ -0,0 +1,67 @@
+/**
+ * TrackFlow Analytics - Referrer Spam
+ *
+ * Hits whose referrer is a known spam domain (or a subdomain of one) are
+ * dropped at ingestion. The built-in list covers the long-running ghost
+ * referrer campaigns; REFERRER_BLOCKLIST_PATH adds domains from a text file,
+ * one per line (# starts a comment).
+ */
+
+const fs = require('fs');
+const { normalizeHostname } = require('./hostnames');
+
+const DEFAULT_BLOCKLIST = [
+    '4webmasters.org',
+    'best-seo-offer.com',
+    'best-seo-solution.com',
+    'buttons-for-website.com',
+    'buttons-for-your-website.com',
+    'darodar.com',
+    'econom.co',
+    'event-tracking.com',
+    'floating-share-buttons.com',
+    'free-share-buttons.com',
+    'free-social-buttons.com',
+    'get-free-traffic-now.com',
+    'hulfingtonpost.com',
+    'ilovevitaly.com',
+    'ilovevitaly.ru',
+    'priceg.com',
+    'ranksonic.info',
+    'savetubevideo.com',
+    'semalt.com',
+    'simple-share-buttons.com',
+    'social-buttons.com',
+    'success-seo.com',
+    'trafficmonetize.com',
+    'webmonetizer.net'
+];
+
+let blocklist = new Set(DEFAULT_BLOCKLIST);
+
+// Add domains from REFERRER_BLOCKLIST_PATH (or `filePath`); call once at startup
+const loadReferrerBlocklist = (filePath = process.env.REFERRER_BLOCKLIST_PATH) => {
+    if (!filePath) return;
+    const domains = fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .map(line => normalizeHostname(line.replace(/#.*$/, '')))
+        .filter(Boolean);
+    blocklist = new Set([...DEFAULT_BLOCKLIST, ...domains]);
+    console.log(`Referrer blocklist: ${blocklist.size} domains`);
+};
+
+const isSpamReferrer = (referrer) => {
+    const host = normalizeHostname(referrer);
+    if (!host) return false;
+    // Check the host and each parent domain: a.b.spam.com -> b.spam.com -> spam.com
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        if (blocklist.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+};
+
+module.exports = {
+    loadReferrerBlocklist,
+    isSpamReferrer
+};
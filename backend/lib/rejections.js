@@ -0,0 +1,41 @@
+/**
+ * TrackFlow Analytics - Rejected Traffic Counts
+ *
+ * /collect counts the events it turns away per site, UTC day and reason so
+ * site settings can show how much bot, spam and foreign traffic was blocked.
+ * Counts are summed in memory and written every `flushIntervalMs`, keeping
+ * the request path free of extra queries.
+ */
+
+const REJECTION_REASONS = ['bot', 'hostname', 'referrer_spam', 'rate_limit', 'invalid'];
+
+const createRejectionCounter = ({ write, flushIntervalMs = 10 * 1000 }) => {
+    let counts = new Map(); // "siteId|day|reason" -> count
+
+    const count = (siteId, reason, n = 1) => {
+        const key = `${siteId}|${new Date().toISOString().slice(0, 10)}|${reason}`;
+        counts.set(key, (counts.get(key) || 0) + n);
+    };
+
+    const flush = async () => {
+        if (counts.size === 0) return;
+        const pending = counts;
+        counts = new Map();
+        const rows = [...pending].map(([key, n]) => [...key.split('|'), n]);
+        try {
+            await write(rows);
+        } catch (err) {
+            console.error('Error saving rejected event counts', err);
+        }
+    };
+
+    const timer = setInterval(flush, flushIntervalMs);
+    timer.unref();
+
+    return { count, flush };
+};
+
+module.exports = {
+    REJECTION_REASONS,
+    createRejectionCounter
+};
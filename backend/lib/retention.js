@@ -0,0 +1,221 @@
+/**
+ * TrackFlow Analytics - Retention
+ *
+ * Cohort retention: visitors are grouped by the day, week or month in which
+ * they first did the start event (any event by default), and each cohort
+ * reports how many came back with the return event (any event by default)
+ * 1, 2, ... periods later. Start and return events use the funnel step shape
+ * ({ type: 'pageview' | 'event', value }), so paths accept * wildcards.
+ *
+ *   exact      returned during period N
+ *   unbounded  returned during period N or any later period
+ *
+ * Cohorts can be limited to visitors whose first-ever event came from a given
+ * source/medium, to compare retention across acquisition channels.
+ */
+
+const { isValidTimeZone, localParts, localTimeSql, zonedMidnight } = require('./date-range');
+const { stepConditionSql } = require('./funnels');
+
+const RETENTION_INTERVALS = ['day', 'week', 'month'];
+const RETENTION_MODES = ['exact', 'unbounded'];
+const DEFAULT_PERIODS = { day: 14, week: 8, month: 6 };
+const MAX_PERIODS = { day: 90, week: 52, month: 24 };
+
+class RetentionError extends Error {}
+
+const parseStep = (queryParams, prefix) => {
+    const event = queryParams[`${prefix}_event`];
+    const path = queryParams[`${prefix}_path`];
+    if (event && path) throw new RetentionError(`Use either ${prefix}_event or ${prefix}_path, not both`);
+    const value = event || path;
+    if (!value) return null;
+    if (typeof value !== 'string' || value.length > 2048) throw new RetentionError(`Invalid ${prefix} ${event ? 'event' : 'path'}`);
+    return { type: event ? 'event' : 'pageview', value };
+};
+
+const optionalValue = (queryParams, name) => {
+    const value = queryParams[name];
+    if (value === undefined || value === '') return null;
+    if (typeof value !== 'string' || value.length > 256) throw new RetentionError(`Invalid ${name}`);
+    return value;
+};
+
+/**
+ * Read retention options from req.query:
+ *   interval      day | week | month (default week)
+ *   periods       number of cohorts to look back, including the current one
+ *   mode          exact | unbounded (default exact)
+ *   start_event / start_path, return_event / return_path
+ *   first_source, first_medium   first-touch filter
+ *   tz            IANA time zone for period boundaries (default UTC)
+ * Throws RetentionError.
+ */
+const parseRetentionQuery = (queryParams = {}) => {
+    const interval = queryParams.interval || 'week';
+    if (!RETENTION_INTERVALS.includes(interval)) throw new RetentionError(`interval must be one of ${RETENTION_INTERVALS.join(', ')}`);
+
+    const periods = queryParams.periods === undefined ? DEFAULT_PERIODS[interval] : Number(queryParams.periods);
+    if (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS[interval]) {
+        throw new RetentionError(`periods must be between 1 and ${MAX_PERIODS[interval]} for ${interval} cohorts`);
+    }
+
+    const mode = queryParams.mode || 'exact';
+    if (!RETENTION_MODES.includes(mode)) throw new RetentionError(`mode must be one of ${RETENTION_MODES.join(', ')}`);
+
+    const tz = queryParams.tz || 'UTC';
+    if (typeof tz !== 'string' || !isValidTimeZone(tz)) throw new RetentionError(`Unknown time zone "${tz}"`);
+
+    return {
+        interval,
+        periods,
+        mode,
+        tz,
+        start: parseStep(queryParams, 'start'),
+        return: parseStep(queryParams, 'return'),
+        first_source: optionalValue(queryParams, 'first_source'),
+        first_medium: optionalValue(queryParams, 'first_medium')
+    };
+};
+
+/**
+ * Local start dates (YYYY-MM-DD) of the cohort periods, newest first, and the
+ * UTC instant the oldest one begins.
+ */
+const cohortPeriods = (options, now = new Date()) => {
+    const { interval, periods, tz } = options;
+    const { year, month, day } = localParts(now, tz);
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7; // Monday = 0, like DATE_TRUNC
+
+    const starts = Array.from({ length: periods }, (_, k) => {
+        if (interval === 'month') return [year, month - k, 1];
+        if (interval === 'week') return [year, month, day - weekday - 7 * k];
+        return [year, month, day - k];
+    });
+    const dates = starts.map(([y, m, d]) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10));
+    const oldest = starts[starts.length - 1];
+
+    return { dates, from: zonedMidnight(oldest[0], oldest[1], oldest[2], tz) };
+};
+
+/**
+ * One query over the site's events (site id bound as $1). Rows are either a
+ * cohort size (period NULL) or, per cohort and period >= 1, the visitors who
+ * returned then (`visitors`) and those for whom it was the last period they
+ * returned in (`last_visitors`, summed for unbounded retention).
+ */
+const buildRetentionSql = (options, from, params) => {
+    const unit = options.interval;
+    params.push(from.toISOString());
+    const fromParam = `$${params.length}`;
+
+    const startSql = options.start ? `AND ${stepConditionSql(options.start, params)}` : '';
+    const returnSql = options.return ? `AND ${stepConditionSql(options.return, params)}` : '';
+
+    const firstTouch = [];
+    if (options.first_source) {
+        params.push(options.first_source);
+        firstTouch.push(`f.source = $${params.length}`);
+    }
+    if (options.first_medium) {
+        params.push(options.first_medium);
+        firstTouch.push(`f.medium = $${params.length}`);
+    }
+
+    const cohortStart = localTimeSql(options, params, 's.started_at');
+    const returnedAt = localTimeSql(options, params, 'a.timestamp');
+    const returnPeriod = `DATE_TRUNC('${unit}', ${returnedAt})`;
+    const periodSql = unit === 'month'
+        ? `((EXTRACT(YEAR FROM ${returnPeriod}) - EXTRACT(YEAR FROM c.cohort)) * 12 + EXTRACT(MONTH FROM ${returnPeriod}) - EXTRACT(MONTH FROM c.cohort))::int`
+        : `((${returnPeriod})::date - c.cohort::date) / ${unit === 'week' ? 7 : 1}`;
+
+    return `
+        WITH starts AS (
+            SELECT visitor_id, MIN(timestamp) as started_at
+            FROM events
+            WHERE site_id = $1 ${startSql}
+            GROUP BY visitor_id
+        ),
+        ${firstTouch.length ? `first_touch AS (
+            SELECT DISTINCT ON (visitor_id) visitor_id, source, medium
+            FROM events
+            WHERE site_id = $1
+            ORDER BY visitor_id, timestamp
+        ),` : ''}
+        cohorts AS (
+            SELECT s.visitor_id, s.started_at, DATE_TRUNC('${unit}', ${cohortStart}) as cohort
+            FROM starts s
+            ${firstTouch.length ? 'JOIN first_touch f ON f.visitor_id = s.visitor_id' : ''}
+            WHERE s.started_at >= ${fromParam}
+            ${firstTouch.map(c => `AND ${c}`).join(' ')}
+        ),
+        activity AS (
+            SELECT visitor_id, timestamp
+            FROM events
+            WHERE site_id = $1 AND timestamp >= ${fromParam} ${returnSql}
+        ),
+        returns AS (
+            SELECT DISTINCT c.visitor_id, c.cohort, ${periodSql} as period
+            FROM cohorts c
+            JOIN activity a ON a.visitor_id = c.visitor_id AND a.timestamp > c.started_at
+        ),
+        returned AS (
+            SELECT cohort, period, MAX(period) OVER (PARTITION BY visitor_id) as last_period
+            FROM returns
+            WHERE period >= 1
+        )
+        SELECT to_char(cohort, 'YYYY-MM-DD') as cohort, NULL::int as period, COUNT(*) as visitors, 0 as last_visitors
+        FROM cohorts
+        GROUP BY cohort
+        UNION ALL
+        SELECT to_char(cohort, 'YYYY-MM-DD') as cohort, period, COUNT(*) as visitors, COUNT(*) FILTER (WHERE period = last_period) as last_visitors
+        FROM returned
+        GROUP BY cohort, period
+    `;
+};
+
+const percent = (count, size) => (size > 0 ? Math.round((count / size) * 1000) / 10 : 0);
+
+/**
+ * Shape buildRetentionSql() rows into cohorts, newest first:
+ *   { date, size, counts: [size, returned in period 1, ...], retention: [100, %, ...] }
+ * Each cohort lists the periods that have started so far.
+ */
+const formatRetention = (options, dates, rows) => {
+    const sizes = {};
+    const exact = {};
+    const last = {};
+    rows.forEach(r => {
+        if (r.period === null) {
+            sizes[r.cohort] = parseInt(r.visitors);
+        } else {
+            (exact[r.cohort] = exact[r.cohort] || {})[r.period] = parseInt(r.visitors);
+            (last[r.cohort] = last[r.cohort] || {})[r.period] = parseInt(r.last_visitors);
+        }
+    });
+
+    return dates.map((date, age) => {
+        const size = sizes[date] || 0;
+        const counts = [size];
+        for (let period = 1; period <= age; period++) {
+            if (options.mode === 'unbounded') {
+                let total = 0;
+                for (let p = period; p <= age; p++) total += (last[date] || {})[p] || 0;
+                counts.push(total);
+            } else {
+                counts.push((exact[date] || {})[period] || 0);
+            }
+        }
+        return { date, size, counts, retention: counts.map(count => percent(count, size)) };
+    });
+};
+
+module.exports = {
+    RETENTION_INTERVALS,
+    RETENTION_MODES,
+    RetentionError,
+    parseRetentionQuery,
+    cohortPeriods,
+    buildRetentionSql,
+    formatRetention
+};
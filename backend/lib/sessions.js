@@ -0,0 +1,98 @@
+/**
+ * TrackFlow Analytics - Sessions
+ *
+ * Derives one row per session from raw events so reports can share the same
+ * definitions of bounce, duration, entry page and exit page:
+ *
+ *   session_id, visitor_id, started_at, ended_at,
+ *   pageviews, duration (seconds), entry_page, exit_page, is_bounce
+ *
+ * A session is included when at least one of its pageviews falls in the range
+ * and matches the report filters; its metrics then use all of its events in
+ * the range. Duration is the span between the first and last event, or the
+ * tracker's engagement time (sent on pagehide) when that is longer.
+ */
+
+const { buildRangeSql } = require('./date-range');
+const { buildFilterSql } = require('./filters');
+
+// Engagement seconds for an events row; older rows only carry it inside event_data
+const ENGAGEMENT_SECONDS_SQL = `COALESCE(
+    e.duration_seconds,
+    substring(e.event_data from '"duration_seconds":([0-9]+)')::integer
+)`;
+
+/**
+ * CTE definitions (without the leading WITH) ending in a `sessions` relation.
+ * Expects the site id to already be bound as $1; pushes its own params.
+ */
+const buildSessionsCte = (range, filters, params) => {
+    const pageviewRangeSql = buildRangeSql(range, params);
+    const filterSql = buildFilterSql(filters, params);
+    const eventRangeSql = buildRangeSql(range, params, 'e.timestamp');
+
+    return `
+        session_ids AS (
+            SELECT DISTINCT session_id
+            FROM events
+            WHERE site_id = $1 AND event_type = 'pageview' ${pageviewRangeSql}
+            ${filterSql}
+        ),
+        sessions AS (
+            SELECT
+                e.session_id,
+                MIN(e.visitor_id) as visitor_id,
+                MIN(e.timestamp) as started_at,
+                MAX(e.timestamp) as ended_at,
+                COUNT(*) FILTER (WHERE e.event_type = 'pageview') as pageviews,
+                GREATEST(
+                    EXTRACT(EPOCH FROM (MAX(e.timestamp) - MIN(e.timestamp))),
+                    COALESCE(MAX(${ENGAGEMENT_SECONDS_SQL}) FILTER (WHERE e.event_type = 'engagement'), 0)
+                ) as duration,
+                (ARRAY_AGG(e.path ORDER BY e.timestamp, e.id) FILTER (WHERE e.event_type = 'pageview'))[1] as entry_page,
+                (ARRAY_AGG(e.path ORDER BY e.timestamp DESC, e.id DESC) FILTER (WHERE e.event_type = 'pageview'))[1] as exit_page,
+                COUNT(*) FILTER (WHERE e.event_type = 'pageview') = 1 as is_bounce
+            FROM events e
+            JOIN session_ids s ON s.session_id = e.session_id
+            WHERE e.site_id = $1 ${eventRangeSql}
+            GROUP BY e.session_id
+        )
+    `;
+};
+
+// Aggregate columns over the `sessions` relation
+const SESSION_SUMMARY_SQL = `
+    COUNT(*) as sessions,
+    COALESCE(AVG(CASE WHEN is_bounce THEN 100.0 ELSE 0 END), 0) as bounce_rate,
+    COALESCE(AVG(duration), 0) as avg_duration,
+    COALESCE(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration), 0) as median_duration,
+    COALESCE(AVG(pageviews), 0) as pages_per_session
+`;
+
+const round1 = (value) => Math.round(parseFloat(value) * 10) / 10;
+
+// Normalise a row selected with SESSION_SUMMARY_SQL
+const formatSessionSummary = (row) => ({
+    sessions: parseInt(row.sessions),
+    bounce_rate: round1(row.bounce_rate),
+    avg_duration: Math.round(parseFloat(row.avg_duration)),
+    median_duration: Math.round(parseFloat(row.median_duration)),
+    pages_per_session: Math.round(parseFloat(row.pages_per_session) * 100) / 100
+});
+
+// Buckets for the session length histogram, in seconds [min, max)
+const DURATION_BUCKETS = [
+    { label: '0-10s', min: 0, max: 10 },
+    { label: '10-30s', min: 10, max: 30 },
+    { label: '30-60s', min: 30, max: 60 },
+    { label: '1-3m', min: 60, max: 180 },
+    { label: '3-10m', min: 180, max: 600 },
+    { label: '10m+', min: 600, max: null }
+];
+
+module.exports = {
+    buildSessionsCte,
+    SESSION_SUMMARY_SQL,
+    formatSessionSummary,
+    DURATION_BUCKETS
+};
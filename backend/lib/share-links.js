@@ -0,0 +1,148 @@
+/**
+ * TrackFlow Analytics - Share Links
+ *
+ * Read-only dashboards for people without an account: a public page for an
+ * open-source project, or a secret link for a client. Each link belongs to a
+ * site and opens the dashboard at /?share=<token> with only the views it
+ * lists; settings are never shared. Reports are served by /api/share/:token/*,
+ * the same handlers as /api/sites/:siteId/* (see authenticateReport in
+ * server.js).
+ *
+ * A link may have a password (bcrypt hash stored) and an expiry. Visitors
+ * exchange the password for an access token (a JWT with the `share`
+ * audience, valid for a day) sent in the X-Share-Auth header. The token is
+ * signed with the password hash mixed into the secret, so changing or
+ * removing the password ends every session; so does deleting the link or
+ * letting it expire.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+// Dashboard views a link can show: id -> report endpoints under /api/share/:token
+const SHARE_VIEWS = {
+    dashboard: ['stats', 'timeseries'],
+    realtime: ['realtime'],
+    pages: ['pages'],
+    sessions: ['sessions'],
+    sources: ['sources'],
+    locations: ['countries'],
+    devices: ['devices'],
+    campaigns: ['campaigns'],
+    events: ['events', 'events/:eventName/properties'],
+    goals: ['goals'],
+    funnels: ['funnels', 'funnels/:funnelId/analyze'],
+    retention: ['retention'],
+    revenue: ['revenue']
+};
+const DEFAULT_SHARE_VIEWS = ['dashboard', 'pages', 'sources'];
+
+const SHARE_AUDIENCE = 'share';
+const SHARE_ACCESS_TTL = '1d';
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_NAME_LENGTH = 100;
+
+class ShareLinkError extends Error {}
+
+const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+/**
+ * Validate a share link body: name, views (ids of SHARE_VIEWS), password
+ * (null or '' removes it), expires_at (ISO date in the future, or null).
+ * Fields left out are undefined, so the same parser serves creates (with
+ * `defaults`) and updates. Resolves to { name, views, password_hash,
+ * expires_at }; throws ShareLinkError.
+ */
+const parseShareLinkInput = async (body = {}, defaults = {}) => {
+    const input = { ...defaults };
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim().length > MAX_NAME_LENGTH) throw new ShareLinkError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+        input.name = body.name.trim() || null;
+    }
+
+    if (body.views !== undefined) {
+        if (!Array.isArray(body.views) || body.views.length === 0) throw new ShareLinkError('views must be a non-empty array');
+        const unknown = body.views.find(view => !Object.prototype.hasOwnProperty.call(SHARE_VIEWS, view));
+        if (unknown !== undefined) throw new ShareLinkError(`Unknown view "${unknown}" (expected ${Object.keys(SHARE_VIEWS).join(', ')})`);
+        input.views = [...new Set(body.views)];
+    }
+
+    if (body.password !== undefined) {
+        if (body.password === null || body.password === '') {
+            input.password_hash = null;
+        } else if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+            throw new ShareLinkError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        } else {
+            input.password_hash = await bcrypt.hash(body.password, 10);
+        }
+    }
+
+    if (body.expires_at !== undefined) {
+        if (body.expires_at === null || body.expires_at === '') {
+            input.expires_at = null;
+        } else {
+            const expiresAt = new Date(body.expires_at);
+            if (typeof body.expires_at !== 'string' || isNaN(expiresAt.getTime())) throw new ShareLinkError('expires_at must be an ISO 8601 date');
+            if (expiresAt <= new Date()) throw new ShareLinkError('expires_at must be in the future');
+            input.expires_at = expiresAt.toISOString();
+        }
+    }
+
+    return input;
+};
+
+// Share link row for its site's admins: the password hash becomes a flag
+const publicShareLink = ({ password_hash: passwordHash, ...link }) => ({ ...link, password_protected: Boolean(passwordHash) });
+
+/**
+ * Active link for `token` with its site's name and domain, or null when it
+ * doesn't exist or has expired.
+ */
+const findShareLink = async (query, token) => {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await query(`
+        SELECT l.*, s.name as site_name, s.domain as site_domain, s.reporting_currency
+        FROM share_links l JOIN sites s ON s.id = l.site_id
+        WHERE l.token = $1 AND (l.expires_at IS NULL OR l.expires_at > CURRENT_TIMESTAMP)
+    `, [token]);
+    return result.rows[0] || null;
+};
+
+const shareAccessSecret = (link, secret) => `${secret}:${link.password_hash}`;
+
+// Whether `password` opens a password-protected link
+const shareLinkPasswordMatches = async (link, password) => {
+    if (typeof password !== 'string' || !link.password_hash) return false;
+    return bcrypt.compare(password, link.password_hash);
+};
+
+const signShareAccess = (link, secret) => jwt.sign({ share_id: link.id }, shareAccessSecret(link, secret), { audience: SHARE_AUDIENCE, expiresIn: SHARE_ACCESS_TTL });
+
+// Whether an X-Share-Auth token from signShareAccess() still opens `link`
+const verifyShareAccess = (token, link, secret) => {
+    if (typeof token !== 'string' || !token) return false;
+    try {
+        return jwt.verify(token, shareAccessSecret(link, secret), { audience: SHARE_AUDIENCE }).share_id === link.id;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Whether a report endpoint (e.g. 'pages') belongs to one of the link's views
+const shareAllowsReport = (link, report) => link.views.some(view => (SHARE_VIEWS[view] || []).includes(report));
+
+module.exports = {
+    SHARE_VIEWS,
+    DEFAULT_SHARE_VIEWS,
+    ShareLinkError,
+    generateShareToken,
+    parseShareLinkInput,
+    publicShareLink,
+    findShareLink,
+    shareLinkPasswordMatches,
+    signShareAccess,
+    verifyShareAccess,
+    shareAllowsReport
+};
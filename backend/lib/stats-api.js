@@ -0,0 +1,154 @@
+/**
+ * TrackFlow Analytics - Stats API
+ *
+ * Query building for the time series report, shared by the dashboard's
+ * /api/sites/:siteId/timeseries and the versioned Stats API:
+ *
+ *   GET /api/v1/stats/aggregate   ?metrics=visitors,bounce_rate&compare=previous
+ *   GET /api/v1/stats/timeseries  ?metrics=visitors,pageviews&interval=day
+ *   GET /api/v1/stats/breakdown   ?property=source&metrics=visitors&limit=100
+ *
+ * Every v1 endpoint takes ?site_id= plus the dashboard's date range
+ * (period, from, to, tz) and filters (see filters.js), and answers
+ * { results }. Metric and property names are part of the v1 contract: add
+ * new ones, don't rename them.
+ */
+
+const { FILTER_COLUMNS, buildFilterSql } = require('./filters');
+const { buildRangeSql, localTimeSql } = require('./date-range');
+const { buildImportedRangeSql } = require('./imports');
+
+// Counted per bucket (timeseries) or per property value (breakdown)
+const EVENT_METRICS = {
+    visitors: 'COUNT(DISTINCT visitor_id)',
+    pageviews: 'COUNT(*)'
+};
+
+// Breakdown properties are the filter names, minus event_name (pageviews have none)
+const BREAKDOWN_PROPERTIES = Object.keys(FILTER_COLUMNS).filter(property => property !== 'event_name');
+
+const DEFAULT_BREAKDOWN_LIMIT = 100;
+const MAX_BREAKDOWN_LIMIT = 1000;
+
+class StatsApiError extends Error {}
+
+/**
+ * ?metrics=a,b -> ['a', 'b'], each one of `allowed`; `defaults` when absent.
+ * Throws StatsApiError.
+ */
+const parseMetrics = (raw, allowed, defaults) => {
+    if (raw === undefined || raw === '') return defaults;
+    if (typeof raw !== 'string') throw new StatsApiError('metrics must be a comma-separated list');
+    const metrics = [...new Set(raw.split(',').map(metric => metric.trim()).filter(Boolean))];
+    const unknown = metrics.find(metric => !allowed.includes(metric));
+    if (unknown !== undefined) throw new StatsApiError(`Unknown metric "${unknown}" (expected ${allowed.join(', ')})`);
+    return metrics.length ? metrics : defaults;
+};
+
+/**
+ * Validate breakdown options: property (required), metrics (default
+ * visitors), limit (default 100, at most 1000). Throws StatsApiError.
+ */
+const parseBreakdownQuery = (queryParams = {}) => {
+    const { property } = queryParams;
+    if (!BREAKDOWN_PROPERTIES.includes(property)) {
+        throw new StatsApiError(`property must be one of ${BREAKDOWN_PROPERTIES.join(', ')}`);
+    }
+
+    const limit = queryParams.limit === undefined ? DEFAULT_BREAKDOWN_LIMIT : Number(queryParams.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BREAKDOWN_LIMIT) {
+        throw new StatsApiError(`limit must be an integer from 1 to ${MAX_BREAKDOWN_LIMIT}`);
+    }
+
+    return {
+        property,
+        metrics: parseMetrics(queryParams.metrics, Object.keys(EVENT_METRICS), ['visitors']),
+        limit
+    };
+};
+
+/**
+ * Pageviews and visitors per `range.interval` bucket in the range's zone,
+ * empty buckets included, as rows of { date, visitors, pageviews }. Unfiltered
+ * daily or longer buckets include imported history (see imports.js). Expects
+ * the site id bound as $1.
+ */
+const buildTimeseriesSql = (range, filters, params) => {
+    params.push(range.interval);
+    const intervalParam = `$${params.length}`;
+    const rangeSql = buildRangeSql(range, params);
+    const fromParam = `$${params.length - 1}`;
+    const toParam = `$${params.length}`;
+    const local = localTimeSql(range, params);
+    const tzParam = `$${params.length}`;
+    const filterSql = buildFilterSql(filters, params);
+    const withImported = filters.length === 0 && range.interval !== 'hour';
+    const importedSql = withImported ? buildImportedRangeSql(range, params) : '';
+
+    return `
+        WITH buckets AS (
+            SELECT generate_series(
+                DATE_TRUNC(${intervalParam}, ((${fromParam}::timestamp AT TIME ZONE 'UTC') AT TIME ZONE ${tzParam})),
+                ((${toParam}::timestamp AT TIME ZONE 'UTC') AT TIME ZONE ${tzParam}) - INTERVAL '1 second',
+                ('1 ' || ${intervalParam})::interval
+            ) as bucket
+        ),
+        counts AS (
+            SELECT
+                DATE_TRUNC(${intervalParam}, ${local}) as bucket,
+                ${EVENT_METRICS.visitors} as visitors,
+                ${EVENT_METRICS.pageviews} as pageviews
+            FROM events
+            WHERE site_id = $1
+            AND event_type = 'pageview'
+            ${rangeSql}
+            ${filterSql}
+            GROUP BY 1
+        ),
+        imported AS (
+            SELECT DATE_TRUNC(${intervalParam}, date::timestamp) as bucket, SUM(visitors) as visitors, SUM(pageviews) as pageviews
+            FROM imported_visitors
+            WHERE ${withImported ? `site_id = $1 ${importedSql}` : 'false'}
+            GROUP BY 1
+        )
+        SELECT
+            to_char(b.bucket, ${range.interval === 'hour' ? `'YYYY-MM-DD"T"HH24:00'` : `'YYYY-MM-DD'`}) as date,
+            COALESCE(c.visitors, 0) + COALESCE(i.visitors, 0) as visitors,
+            COALESCE(c.pageviews, 0) + COALESCE(i.pageviews, 0) as pageviews
+        FROM buckets b
+        LEFT JOIN counts c ON c.bucket = b.bucket
+        LEFT JOIN imported i ON i.bucket = b.bucket
+        ORDER BY b.bucket ASC
+    `;
+};
+
+/**
+ * Top values of a breakdown's property by its first metric, as rows of
+ * { value, <metric>... }. Expects the site id bound as $1.
+ */
+const buildBreakdownSql = (breakdown, range, filters, params) => {
+    const column = FILTER_COLUMNS[breakdown.property];
+    const rangeSql = buildRangeSql(range, params);
+    const filterSql = buildFilterSql(filters, params);
+    params.push(breakdown.limit);
+
+    return `
+        SELECT ${column} as value, ${breakdown.metrics.map(metric => `${EVENT_METRICS[metric]} as ${metric}`).join(', ')}
+        FROM events
+        WHERE site_id = $1 AND event_type = 'pageview' ${rangeSql}
+        ${filterSql}
+        GROUP BY ${column}
+        ORDER BY ${breakdown.metrics[0]} DESC, ${column}
+        LIMIT $${params.length}
+    `;
+};
+
+module.exports = {
+    EVENT_METRICS,
+    BREAKDOWN_PROPERTIES,
+    StatsApiError,
+    parseMetrics,
+    parseBreakdownQuery,
+    buildTimeseriesSql,
+    buildBreakdownSql
+};
@@ -0,0 +1,115 @@
+/**
+ * TrackFlow Analytics - Two-Factor Authentication (TOTP)
+ *
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30-second
+ * steps), as generated by Google Authenticator, 1Password, Authy and the
+ * like. Secrets are 20 random bytes, base32-encoded for the authenticator
+ * app. Codes from the previous and next step are accepted for clock drift;
+ * callers remember the last step used so a code can't be replayed.
+ *
+ * Recovery codes stand in for the app when it's lost: ten single-use codes,
+ * stored as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code for one time step (HOTP with the step as counter)
+const totpCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * The time step `code` matches, within one step of `now`, or null. Steps at
+ * or before `lastStep` (the last one used) don't count.
+ */
+const verifyTotp = (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+    const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = totpStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        const expected = totpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+};
+
+// otpauth:// URL for authenticator apps (usually shown as a QR code)
+const totpUri = ({ secret, account, issuer = 'TrackFlow' }) => (
+    `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` +
+    `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+);
+
+const normalizeRecoveryCode = (code) => (typeof code === 'string' ? code.toLowerCase().replace(/[^0-9a-f]/g, '') : '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Returns { codes, hashes }: show the codes once, store the hashes
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+    generateTotpSecret,
+    totpCode,
+    totpStep,
+    verifyTotp,
+    totpUri,
+    normalizeRecoveryCode,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
@@ -0,0 +1,99 @@
+/**
+ * TrackFlow Analytics - User-Agent Parsing
+ *
+ * /collect derives browser, OS and device type from the User-Agent header
+ * instead of trusting the tracker payload, and drops hits from crawlers and
+ * headless browsers (isbot's maintained pattern list plus automation tools
+ * it does not cover).
+ */
+
+const UAParser = require('ua-parser-js');
+const { isbot } = require('isbot');
+
+// Automation/headless agents that can present an otherwise normal browser UA
+const AUTOMATION_PATTERN = /headless|phantomjs|puppeteer|playwright|selenium|webdriver|lighthouse|slimerjs/i;
+
+// ua-parser names -> names the dashboard has always used
+const BROWSER_NAMES = {
+    'chrome': 'chrome',
+    'chrome webview': 'chrome',
+    'chromium': 'chrome',
+    'mobile chrome': 'chrome',
+    'safari': 'safari',
+    'mobile safari': 'safari',
+    'firefox': 'firefox',
+    'mobile firefox': 'firefox',
+    'edge': 'edge',
+    'ie': 'ie',
+    'iemobile': 'ie',
+    'opera': 'opera',
+    'opera mini': 'opera',
+    'opera touch': 'opera',
+    'opera gx': 'opera',
+    'samsung browser': 'samsung',
+    'samsung internet': 'samsung',
+    'safari (in-app)': 'safari',
+    'yandex': 'yandex',
+    'brave': 'brave',
+    'vivaldi': 'vivaldi',
+    'duckduckgo': 'duckduckgo',
+    'uc browser': 'uc'
+};
+
+const OS_NAMES = {
+    'windows': 'windows',
+    'windows phone': 'windows',
+    'mac os': 'macos',
+    'macos': 'macos',
+    'macintosh': 'macos',
+    'mac': 'macos',
+    'ios': 'ios',
+    'ipados': 'ios',
+    'android': 'android',
+    'chromium os': 'chromeos',
+    'chrome os': 'chromeos',
+    'linux': 'linux',
+    'gnu/linux': 'linux',
+    'ubuntu': 'linux',
+    'debian': 'linux',
+    'fedora': 'linux',
+    'arch': 'linux',
+    'harmonyos': 'harmonyos'
+};
+
+const normalizeName = (name, table) => {
+    if (!name) return 'unknown';
+    const key = name.toLowerCase();
+    return table[key] || key.replace(/\s+/g, '_');
+};
+
+// Browser and OS names as reported elsewhere (e.g. imported analytics exports)
+const normalizeBrowser = (name) => normalizeName(name, BROWSER_NAMES);
+const normalizeOs = (name) => normalizeName(name, OS_NAMES);
+
+const isBotUserAgent = (ua) => !ua || isbot(ua) || AUTOMATION_PATTERN.test(ua);
+
+/**
+ * Parse a User-Agent header into
+ * { browser, browser_version, os, os_version, device_type }.
+ */
+const parseUserAgent = (ua) => {
+    const result = new UAParser(ua || '').getResult();
+    const deviceType = result.device.type;
+
+    return {
+        browser: normalizeBrowser(result.browser.name),
+        browser_version: result.browser.major || null,
+        os: normalizeOs(result.os.name),
+        os_version: result.os.version || null,
+        // mobile | tablet | smarttv | console | wearable | embedded; no type means desktop
+        device_type: deviceType || 'desktop'
+    };
+};
+
+module.exports = {
+    isBotUserAgent,
+    parseUserAgent,
+    normalizeBrowser,
+    normalizeOs
+};
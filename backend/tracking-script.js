@@ -4,7 +4,8 @@
  * Size: ~4KB minified
  * 
  * Privacy-first analytics tracking
- * - No cookies by default
+ * - No cookies; visitor ID in localStorage, session ID in sessionStorage
+ * - data-cookieless="true": nothing stored, IDs derived server-side
  * - GDPR compliant
  * - Respects Do Not Track
  */
@@ -22,6 +23,7 @@
         trackSearchQueries: true,
         respectDNT: true,
         hashMode: false, // For SPAs using hash routing
+        cookieless: false, // Store nothing in the browser; the server hashes a daily visitor ID
         debug: false,
         trackLocalhost: false // Set to true to track localhost (for testing)
     };
@@ -128,37 +130,9 @@
         };
     };
 
-    // Get device info
+    // Get device info (browser, OS and device type are parsed server-side from the User-Agent)
     const getDeviceInfo = () => {
-        const ua = navigator.userAgent;
-        
-        // Device type
-        let deviceType = 'desktop';
-        if (/Mobile|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(ua)) {
-            deviceType = /iPad|Tablet/i.test(ua) ? 'tablet' : 'mobile';
-        }
-        
-        // Browser
-        let browser = 'unknown';
-        if (/Chrome/i.test(ua) && !/Edge|Edg/i.test(ua)) browser = 'chrome';
-        else if (/Safari/i.test(ua) && !/Chrome/i.test(ua)) browser = 'safari';
-        else if (/Firefox/i.test(ua)) browser = 'firefox';
-        else if (/Edge|Edg/i.test(ua)) browser = 'edge';
-        else if (/MSIE|Trident/i.test(ua)) browser = 'ie';
-        else if (/Opera|OPR/i.test(ua)) browser = 'opera';
-        
-        // OS
-        let os = 'unknown';
-        if (/Windows/i.test(ua)) os = 'windows';
-        else if (/Mac OS/i.test(ua)) os = 'macos';
-        else if (/Linux/i.test(ua)) os = 'linux';
-        else if (/Android/i.test(ua)) os = 'android';
-        else if (/iOS|iPhone|iPad|iPod/i.test(ua)) os = 'ios';
-        
         return {
-            deviceType,
-            browser,
-            os,
             screenWidth: window.screen.width,
             screenHeight: window.screen.height,
             language: navigator.language || navigator.userLanguage,
@@ -166,7 +140,194 @@
         };
     };
 
-    // Send event to server
+    // Event queue: events are batched and flushed every few seconds, when the
+    // page is hidden, or once QUEUE_BATCH_SIZE are waiting. Undelivered events
+    // are kept in localStorage (memory only in cookieless mode) and retried with
+    // exponential backoff, so they survive offline periods and page loads.
+    // Each tab stores its queue under its own key (the tab id lives in
+    // sessionStorage) so no tab resends events another tab still has in flight.
+    const QUEUE_KEY_PREFIX = 'tf_queue_';
+    const QUEUE_BATCH_SIZE = 20;
+    const QUEUE_MAX_SIZE = 500;
+    const FLUSH_INTERVAL = 5000;
+    const RETRY_BASE_DELAY = 2000;
+    const RETRY_MAX_DELAY = 5 * 60 * 1000;
+    // A stored queue untouched for this long belongs to a closed tab and is taken
+    // over. Open tabs refresh theirs on every flush tick and retry; the margin
+    // covers background tabs whose timers run once a minute at most.
+    const QUEUE_ORPHAN_AGE = 30 * 60 * 1000;
+    const PAGE_ID = generateId();
+
+    let queue = []; // [{ id, event }]
+    let inFlight = []; // ids of the batch currently being sent with fetch
+    let retryAttempt = 0;
+    let retryTimer = null;
+    let queueKey = null; // set by claimQueueKey()
+
+    // { page, updated, items } stored under `key`; `page` is the page load holding it
+    const readStoredQueue = (key) => {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            return stored && Array.isArray(stored.items) ? stored : { page: null, updated: 0, items: [] };
+        } catch (e) {
+            return { page: null, updated: 0, items: [] };
+        }
+    };
+
+    // "Duplicate tab" copies sessionStorage along with the tab id. When another
+    // open page still holds the key, this is the copy and takes an id of its own.
+    const claimQueueKey = () => {
+        let tabId = sessionStorage.getItem('tf_tab');
+        const stored = tabId ? readStoredQueue(QUEUE_KEY_PREFIX + tabId) : null;
+        if (!tabId || (stored.page && stored.page !== PAGE_ID && Date.now() - stored.updated < QUEUE_ORPHAN_AGE)) {
+            tabId = generateId();
+            sessionStorage.setItem('tf_tab', tabId);
+        }
+        queueKey = QUEUE_KEY_PREFIX + tabId;
+    };
+
+    // Only this page writes its key, and the record stays while the page is open so
+    // it keeps the key claimed. `release` hands it over to the next page load in the tab.
+    const persistQueue = (release = false) => {
+        if (config.cookieless) return;
+        try {
+            if (!queueKey) claimQueueKey();
+            const items = queue.slice(-QUEUE_MAX_SIZE);
+            if (release && !items.length) localStorage.removeItem(queueKey);
+            else localStorage.setItem(queueKey, JSON.stringify({ page: release ? null : PAGE_ID, updated: Date.now(), items }));
+        } catch (e) {
+            log('Could not persist queue:', e);
+        }
+    };
+
+    // Pick up events an earlier page load in this tab, or a tab that has since
+    // been closed, could not deliver
+    const restoreQueue = () => {
+        if (config.cookieless) return;
+        try {
+            claimQueueKey();
+            const known = {};
+            queue.forEach(item => { known[item.id] = true; });
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+            keys.forEach(key => {
+                if (key.indexOf(QUEUE_KEY_PREFIX) !== 0) return;
+                const stored = readStoredQueue(key);
+                if (key !== queueKey) {
+                    if (Date.now() - stored.updated < QUEUE_ORPHAN_AGE) return;
+                    localStorage.removeItem(key);
+                }
+                stored.items.forEach(item => {
+                    if (!known[item.id]) queue.push(item);
+                    known[item.id] = true;
+                });
+            });
+        } catch (e) {
+            log('Could not restore queue:', e);
+        }
+        persistQueue();
+    };
+
+    // Back from the back/forward cache or a frozen state: the page stopped refreshing
+    // its key meanwhile, so another page may have taken it over. What's stored wins.
+    const reclaimQueue = () => {
+        if (config.cookieless) return;
+        try {
+            claimQueueKey();
+            queue = readStoredQueue(queueKey).items;
+        } catch (e) {
+            log('Could not restore queue:', e);
+        }
+        persistQueue();
+    };
+
+    const enqueue = (event) => {
+        queue.push({ id: generateId(), event });
+        if (queue.length > QUEUE_MAX_SIZE) queue = queue.slice(-QUEUE_MAX_SIZE);
+        persistQueue();
+        if (queue.length >= QUEUE_BATCH_SIZE) flush();
+    };
+
+    const markDelivered = (batch) => {
+        const ids = batch.map(item => item.id);
+        queue = queue.filter(item => ids.indexOf(item.id) === -1);
+        persistQueue();
+    };
+
+    // Debug mode: show why the server refused events ({ error, rejected: [{ index, reason }] })
+    const logRejected = (res, batch) => {
+        res.json().then(body => {
+            (body.rejected || []).forEach(({ index, reason }) => {
+                log('Event rejected:', reason, batch[index] && batch[index].event);
+            });
+            if (!res.ok && !body.rejected) log('Events rejected:', res.status, body.error);
+        }).catch(() => {
+            if (!res.ok) log('Events rejected:', res.status);
+        });
+    };
+
+    const scheduleRetry = () => {
+        if (retryTimer) return;
+        const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, retryAttempt), RETRY_MAX_DELAY);
+        retryAttempt++;
+        log(`Delivery failed, retrying in ${Math.round(delay / 1000)}s`);
+        persistQueue();
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, delay);
+    };
+
+    /**
+     * Send queued events in batches. `unloading` uses sendBeacon, which survives
+     * the page going away but reports no result; a successful hand-off counts as
+     * delivered.
+     */
+    const flush = (unloading = false) => {
+        if (!queue.length || !config.endpoint) return;
+
+        if (unloading) {
+            if (!navigator.sendBeacon) return persistQueue();
+            // Leave the batch already on its way with fetch (keepalive) alone
+            let pending = queue.filter(item => inFlight.indexOf(item.id) === -1);
+            while (pending.length) {
+                const batch = pending.slice(0, QUEUE_BATCH_SIZE);
+                pending = pending.slice(QUEUE_BATCH_SIZE);
+                if (!navigator.sendBeacon(config.endpoint, JSON.stringify(batch.map(item => item.event)))) break;
+                markDelivered(batch);
+            }
+            return;
+        }
+
+        if (inFlight.length || retryTimer) return;
+        if (navigator.onLine === false) return scheduleRetry();
+
+        const batch = queue.slice(0, QUEUE_BATCH_SIZE);
+        inFlight = batch.map(item => item.id);
+        fetch(config.endpoint, {
+            method: 'POST',
+            body: JSON.stringify(batch.map(item => item.event)),
+            headers: { 'Content-Type': 'application/json' },
+            keepalive: true
+        }).then(res => {
+            inFlight = [];
+            // Rejected batches (bad payload) are dropped; overload and server errors are retried
+            if (res.ok || (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429)) {
+                if (config.debug) logRejected(res, batch);
+                markDelivered(batch);
+                retryAttempt = 0;
+                if (queue.length) flush();
+            } else {
+                scheduleRetry();
+            }
+        }).catch(err => {
+            inFlight = [];
+            log('Error sending events:', err);
+            scheduleRetry();
+        });
+    };
+
+    // Queue an event for the server
     const sendEvent = (eventType, eventData = {}) => {
         if (!shouldTrack()) return;
         if (!config.siteId) {
@@ -180,8 +341,9 @@
 
         const payload = {
             site_id: config.siteId,
-            visitor_id: getVisitorId(),
-            session_id: getSessionId(),
+            ...(config.cookieless
+                ? { cookieless: true }
+                : { visitor_id: getVisitorId(), session_id: getSessionId() }),
             event_type: eventType,
             timestamp: new Date().toISOString(),
             
@@ -202,20 +364,8 @@
             ...eventData
         };
 
-        log('Sending event:', eventType, payload);
-
-        // Use sendBeacon for reliability (fires even on page unload)
-        if (navigator.sendBeacon) {
-            navigator.sendBeacon(config.endpoint, JSON.stringify(payload));
-        } else {
-            // Fallback to fetch
-            fetch(config.endpoint, {
-                method: 'POST',
-                body: JSON.stringify(payload),
-                headers: { 'Content-Type': 'application/json' },
-                keepalive: true
-            }).catch(err => log('Error sending event:', err));
-        }
+        log('Queueing event:', eventType, payload);
+        enqueue(payload);
     };
 
     // Track pageview
@@ -226,7 +376,7 @@
 
     // Track custom event
     const trackEvent = (name, properties = {}) => {
-        sendEvent('event', { event_name: name, ...properties });
+        sendEvent('event', { event_name: name, props: properties });
     };
 
     // Track goal/conversion
@@ -331,6 +481,27 @@
     window.addEventListener('beforeunload', trackTimeOnPage);
     window.addEventListener('pagehide', trackTimeOnPage);
 
+    // Deliver whatever is queued before the page goes away
+    window.addEventListener('pagehide', () => {
+        flush(true);
+        persistQueue(true);
+    });
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) reclaimQueue();
+    });
+    document.addEventListener('resume', reclaimQueue);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush(true);
+    });
+
+    // Back online: retry straight away instead of waiting out the backoff
+    window.addEventListener('online', () => {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        retryAttempt = 0;
+        flush();
+    });
+
     // Track visibility changes (tab switching)
     let hiddenTime = 0;
     let hiddenStart = 0;
@@ -370,6 +541,7 @@
             if (script.getAttribute('data-track-outbound') === 'false') config.trackOutboundLinks = false;
             if (script.getAttribute('data-track-downloads') === 'false') config.trackDownloads = false;
             if (script.getAttribute('data-hash-mode') === 'true') config.hashMode = true;
+            if (script.getAttribute('data-cookieless') === 'true') config.cookieless = true;
             if (script.getAttribute('data-debug') === 'true') config.debug = true;
             if (script.getAttribute('data-track-localhost') === 'true') config.trackLocalhost = true;
             if (script.getAttribute('data-endpoint')) config.endpoint = script.getAttribute('data-endpoint');
@@ -377,6 +549,13 @@
 
         log('Initializing with config:', config);
 
+        restoreQueue();
+        setInterval(() => {
+            // Keeps our stored queue from looking orphaned, also while waiting out a retry
+            persistQueue();
+            flush();
+        }, FLUSH_INTERVAL);
+
         // Setup tracking
         trackPageview();
         trackOutboundLinks();
@@ -393,11 +572,13 @@
         trackPageview,
         config: (options) => Object.assign(config, options),
         identify: (userId, traits = {}) => {
-            sendEvent('identify', { user_id: userId, ...traits });
+            sendEvent('identify', { user_id: userId, props: traits });
         },
         revenue: (amount, currency = 'USD', metadata = {}) => {
-            sendEvent('revenue', { amount, currency, ...metadata });
-        }
+            sendEvent('revenue', { amount, currency, props: metadata });
+        },
+        // For payment attribution (e.g. Stripe client_reference_id); null in cookieless mode
+        getVisitorId: () => (config.cookieless ? null : getVisitorId())
     };
 
     // Auto-initialize when DOM is ready